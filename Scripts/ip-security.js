@@ -1,25 +1,96 @@
 /**
  * Surge IP Security Check Script
+ * （亦支援 Loon、Quantumult X、Stash、Shadowrocket）
  *
  * 功能概述：
  * - 檢測並顯示入口／出口 IP 資訊
  * - 評估 IP 風險等級與類型
  * - 顯示地理位置與電信商資訊
  * - 支援網路變更自動偵測與通知
+ * - 審計模式：逐一透過各策略組節點檢測出口 IP、地區、電信商與風控值
+ * - 出口規則：策略出口地區或風控值不符預期時送出警示
+ * - 完整報告：以 http-request 腳本在 http://ip-security.report/ 提供 HTML／JSON 報告
+ *
+ * 跨 App 支援：
+ * - Surge：完整功能
+ * - Loon：無 $httpAPI，代理策略改用上次紀錄，不支援節點審計
+ * - Quantumult X：以 $task.fetch／$prefs／$notify 對應，無 $httpAPI，同上
+ * - Stash／Shadowrocket：無 $httpAPI 且不支援指定 policy，代理策略與節點審計停用
  *
  * 資料來源：
- * ① 入口 IP：bilibili API (DIRECT)
+ * ① 入口 IP：bilibili API (DIRECT)，失敗時依序改用 ip.sb、ipinfo.io、ipify
+ *    本機網路：$network 的 Wi-Fi SSID、行動網路電信商與制式、本機位址，並判斷 NAT／CGNAT（顯示於入口區塊）
  * ② 出口 IP：ip.sb API (IPv4／IPv6)
- * ③ 代理策略：Surge /v1/requests/recent
- * ④ 風險評分：IPQualityScore（主，需 API）→ ProxyCheck（備）→ Scamalytics（兜底）
- * ⑤ IP 類型：IPPure API
+ * ③ 代理策略：Surge /v1/requests/recent，以本次執行的標記比對出口探測請求，解析規則與決策路徑（策略 → 子策略組 → 節點）
+ *    找不到時標示「未確認」並沿用上次紀錄
+ * ④ 風險評分：IPQualityScore（需 API）、ProxyCheck、Scamalytics、AbuseIPDB（需 API）、自訂來源，並行查詢後合併
+ *    IPv6 出口另行評分（略過不支援 IPv6 的來源），面板圖示顏色取兩者中較差者
+ * ⑤ IP 類型：IPPure API（IPv6 出口改用 ProxyCheck type 欄位）
  * ⑥ 地理／電信商：lang=en → ipinfo.io + ip.sb | lang=zh → bilibili（中文，ip.sb 兜底）
+ *    各來源的國家與電信商互相比對，不一致時於面板與通知標示 ⚠ 並列出各來源的值
+ * ⑦ 策略組與節點：Surge /v1/policy_groups（審計模式）
+ * ⑧ 服務解鎖：ChatGPT、Claude、Netflix、YouTube Premium、Disney+、TikTok（依規則走目前策略）
+ * ⑨ ASN／網段：ip.sb、ipinfo.io（有 ipinfo_token 時含 ASN 類型與濫用聯絡國家）、RIPEstat，ASN 類型另查對照表
+ * ⑩ DNSBL 黑名單：透過 DoH（預設 Cloudflare）查詢 Barracuda、SpamCop、PSBL 等區域，僅檢查 IPv4 出口
+ * ⑪ DNS 洩漏：bash.ws（或相容的本地端點）記錄實際查詢的解析器，地理資訊沿用 ⑥ 的來源
  *
- * 參數說明：
- * - TYPE：設為 EVENT 表示網路變更觸發（自動判斷，無需手動設定）
+ * 參數說明（型別、預設值與各觸發方式使用的參數見 PARAMS）：
+ * - TYPE：設為 EVENT 表示網路變更觸發、PANEL 表示面板觸發（自動判斷，無法判斷觸發方式的 App 可手動設定）
  * - ipqs_key：IPQualityScore API Key（可選）
+ * - abuseipdb_key：AbuseIPDB API Key（可選，留空則不啟用）
+ * - ipinfo_token：ipinfo.io Token（可選），付費方案可取得 ASN 類型、網段與濫用聯絡國家
+ * - asn_types：自訂 ASN 類型對照（如 AS906:hosting|4134:isp），類型為 isp／hosting／business／education
+ *     亦可寫入持久化儲存的 ipSecurityASNTypes（JSON，如 {"906":"hosting"}）；IPPure 無法判斷 IP 類型時依 ASN 類型推測
+ * - dnsbl：查詢的 DNSBL 區域，以逗號或 | 分隔（如 b.barracudacentral.org|bl.spamcop.net），留空使用預設清單，none 停用
+ *     面板顯示「已列入 N/M」與區域名稱；出口 IP 新列入任一區域時送出通知（網路變更時即使 IP 未變更亦會檢查）
+ * - dnsbl_doh：DNSBL 查詢使用的 DoH JSON 端點（可選），{name} 會替換為查詢名稱；網址無效時改用預設端點
+ *     Spamhaus 拒絕公共 DNS，需自建端點並以 dnsbl 參數加入 zen.spamhaus.org 才能查詢
+ * - dns_leak：設為 1 時進行 DNS 洩漏測試，列出實際查詢的解析器，與出口不同國家時標示 ⚠（通知僅在此時加註），預設 0
+ * - dns_leak_url：洩漏測試服務網址（可選），預設 https://bash.ws；本地替代端點須提供 /id 與 /dnsleak/test/{id}?json，
+ *     並記錄 {n}.{id}.<端點網域> 的解析來源
+ * - risk_local_url：自訂風險評分來源（可選），{ip} 會替換為查詢 IP，需回傳 { "score": 0–100 }
+ * - risk_providers：啟用的風險評分來源，以逗號或 | 分隔（如 IPQS|ProxyCheck），留空啟用全部可用來源
+ * - risk_strategy：分數合併方式，median（預設）＝中位數，max＝最高值，weighted＝加權平均
+ * - risk_weights：加權平均的權重（如 IPQS:2|ProxyCheck:1），未指定者使用預設權重
+ * - risk_ttl：各來源快取有效秒數（如 IPQS:86400|ProxyCheck:3600），未指定者使用預設值
+ * - force_refresh：設為 1 時略過風險評分快取，重新查詢所有來源
+ * - unlock：面板檢測解鎖的服務，以逗號或 | 分隔（chatgpt|claude|netflix|youtube|disney|tiktok），留空不檢測
+ * - rules：出口規則，以 ; 分隔，格式為「策略:條件」，策略可為決策路徑上的任一層（策略組、子策略組或節點），填 * 表示任意策略
+ *     country=US|TW（出口須在列出的國家）、country!=CN|HK（出口不可在列出的國家）、risk<40／risk<=40（風控值上限）
+ *     例：LLM:country=US|TW;PayPal:risk<40;*:country!=CN
+ *     亦可寫入持久化儲存（$persistentStore／$prefs）的 ipSecurityRules（相同格式），與參數合併使用
+ *     代理策略未確認（找不到本次探測）時只檢查 * 規則，指定策略的規則略過
+ * - alert_only：設為 1 時網路變更僅在違反規則時通知，預設 0（每次變更皆通知）
+ * - format：報告格式（僅 http-request），html（預設）或 json，可直接以網址參數指定，如 ?format=json
  * - lang：地理資訊語言，en（預設）＝英文（ipinfo.io），zh＝中文（bilibili）
- * - event_delay：網路變更後延遲檢測（秒），預設 2 秒
+ * - template：面板版面，full（預設）＝完整、compact＝兩行精簡（小型小工具）、outbound＝僅出口，或自訂範本
+ *     欄位：{policy} {risk} {risk_label} {risk_source} {risk_providers} {ip_type} {ip_src} {in_ip} {in_geo} {in_isp}
+ *           {out_ip} {out_geo} {out_isp} {out_flag} {out_cc} {out_ip6} {out_geo6} {out_isp6} {asn} {dnsbl} {dns_leak}
+ *           {changes} {route} {node} {in_src} {net} {nat} {unlock} {violations}
+ *     條件區塊：{#out_ip6}…{/out_ip6} 有值才顯示、{^out_ip6}…{/out_ip6} 無值才顯示；\n 表示換行，& 需寫成 %26
+ *     例：{out_flag} {out_ip}{#asn} {asn}{/asn}\n{#risk}{risk}% {/risk}{risk_label}
+ * - notify_template：網路變更通知版面，full（預設）、compact 或自訂範本（語法同上），第一行為標題、第二行為副標題
+ * - ui_lang：面板、通知與報告的介面語言，zh-Hant（預設）＝繁體中文，zh-Hans＝簡體中文，en＝英文，ja＝日文（與 lang 分開設定）
+ * - privacy：隱私等級，套用於面板、通知、報告、日誌與網路變更紀錄
+ *     off（預設）＝不處理，ip＝IP 與網段打碼（123.*.*.89），city＝再隱藏城市與省／州（僅保留國家），
+ *     strict＝再隱藏策略名稱、決策路徑與 Wi-Fi SSID，且持久化儲存只保留 IP 雜湊；mask_ip=1 視同 privacy=ip
+ *     日報仍記錄策略名稱（各策略統計所需），審計與自動選擇的節點名稱不受影響；privacy、hash_ip、mask_ip 不接受報告網址覆寫
+ * - hash_ip：設為 1 時持久化儲存（上次網路變更、風險評分快取、DNSBL 與規則警示紀錄、變更紀錄、日報）只保留 IP 雜湊，
+ *     網路變更仍能比對 IP 是否改變；雜湊僅避免明文，無法防止逐一比對還原（privacy=strict 時自動開啟）
+ * - event_delay：網路變更後延遲檢測（秒），預設 2 秒；延遲期間內的後續事件合併，只由最後一次檢測
+ * - cooldown：網路變更通知的冷卻時間（秒），距上次通知未滿時僅記錄不通知，預設 60，0 表示不冷卻
+ *     每次變更記錄於 networkTransitionHistory（最近 20 筆：時間、入口／出口 IP、策略、風控值、Wi-Fi SSID／行動網路），
+ *     面板顯示「1 小時內 N 次」，報告列出完整紀錄
+ * - mode：執行模式，check（預設）＝檢測目前策略，audit＝審計各策略組所有節點，autoselect＝自動選擇節點（cron），
+ *     digest＝健康日報（cron）
+ * - audit_groups：審計的策略組，以逗號或 | 分隔（如 AUTO|Proxy|LLM），留空審計全部策略組
+ * - select_group：自動選擇的 select 策略組，以逗號或 | 分隔（如 Proxy|LLM|PayPal）
+ *     逐一透過各成員檢測出口，分數＝風控值＋IP 類型加權（機房 +15、未知 +5），違反出口規則（如 LLM:country=US）者排除，
+ *     經 /v1/policy_groups/select 切換至分數最低者並送出通知
+ * - digest_hour：健康日報的送出時間（本地時，0–23），未設定時不記錄；mode=digest 每次執行記錄出口 IP、策略、風控值、IP 類型與失敗來源，
+ *     每天此時之後第一次執行送出前 24 小時的日報（出口 IP 數、各策略平均／最差風控值與趨勢、IP 類型時間占比、各來源失敗次數）
+ * - hysteresis：自動選擇的切換門檻，新節點分數須低於目前節點此值以上才切換，預設 10；距上次切換未滿 30 分鐘亦不切換
+ *     （目前節點無法連線或違反規則時不受限制）
  *
  * 設定範例：
  * [Panel]
@@ -32,6 +103,18 @@
  * # 網路變更自動觸發
  * ip-security-event = type=event,event-name=network-changed,timeout=10,script-path=ip-security.js,argument=TYPE=EVENT&ipqs_key=YOUR_API_KEY&event_delay=2
  *
+ * # 完整報告（瀏覽 http://ip-security.report/，加上 ?format=json 取得 JSON）
+ * ip-security-report = type=http-request,pattern=^http://ip-security\.report/,timeout=15,script-path=ip-security.js,argument=ipqs_key=YOUR_API_KEY
+ *
+ * # 自動選擇節點（每 30 分鐘）
+ * ip-security-autoselect = type=cron,cronexp="0,30 * * * *",timeout=120,script-path=ip-security.js,argument=mode=autoselect&select_group=Proxy|LLM&rules=LLM:country=US|TW
+ *
+ * # 健康日報（每小時記錄，每天 9 點後送出日報）
+ * ip-security-digest = type=cron,cronexp="0 * * * *",timeout=30,script-path=ip-security.js,argument=mode=digest&digest_hour=9
+ *
+ * # 節點審計（面板）
+ * ip-security-audit = type=generic,timeout=60,script-path=ip-security.js,argument=mode=audit&audit_groups=Proxy|LLM|PayPal
+ *
  * @author HotKids&Claude
  * @version 4.0.0
  * @date 2026-02-09
@@ -43,104 +126,1326 @@ const CONFIG = {
   timeout: 10000,
   storeKeys: {
     lastEvent: "lastNetworkInfoEvent",
+    pendingEvent: "pendingNetworkEvent",
+    history: "networkTransitionHistory",
+    lastChangeNotify: "lastChangeNotify",
     lastPolicy: "lastProxyPolicy",
-    riskCache: "riskScoreCache"
+    riskCache: "riskScoreCache",
+    rules: "ipSecurityRules",
+    asnTypes: "ipSecurityASNTypes",
+    lastAlert: "lastRuleAlert",
+    lastDnsbl: "lastDnsblListing",
+    autoSelect: "autoSelectState",
+    digestSeries: "ipHealthSeries",
+    lastDigest: "lastHealthDigest"
   },
   urls: {
-    inboundIP: "https://api.bilibili.com/x/web-interface/zone",
     outboundIP: "https://api-ipv4.ip.sb/geoip",
     outboundIPv6: "https://api-ipv6.ip.sb/geoip",
     ipType: "https://my.ippure.com/v1/info",
     ipTypeCard: "https://my.ippure.com/v1/card",
     inboundInfo: (ip) => `https://api.ip.sb/geoip/${ip}`,
     biliGeo: (ip) => `https://api.live.bilibili.com/ip_service/v1/ip_service/get_ip_addr?ip=${ip}`,
-    ipInfo: (ip) => `https://ipinfo.io/${ip}/json`,
+    ipInfo: (ip) => `https://ipinfo.io/${ip}/json` + (args.ipinfoToken ? "?token=" + args.ipinfoToken : ""),
+    doh: "https://cloudflare-dns.com/dns-query?name={name}&type=A",
+    dnsLeak: "https://bash.ws",
+    ripeNetworkInfo: (ip) => `https://stat.ripe.net/data/network-info/data.json?resource=${encodeURIComponent(ip)}`,
+    ripeCountry: (ip) => `https://stat.ripe.net/data/rir-stats-country/data.json?resource=${encodeURIComponent(ip)}`,
     ipqs: (key, ip) => `https://ipqualityscore.com/api/json/ip/${key}/${ip}?strictness=1`,
     proxyCheck: (ip) => `https://proxycheck.io/v2/${ip}?risk=1&vpn=1`,
-    scamalytics: (ip) => `https://scamalytics.com/ip/${ip}`
+    scamalytics: (ip) => `https://scamalytics.com/ip/${ip}`,
+    abuseIPDB: (ip) => `https://api.abuseipdb.com/api/v2/check?ipAddress=${encodeURIComponent(ip)}&maxAgeInDays=90`,
+    chatgptTrace: "https://chatgpt.com/cdn-cgi/trace",
+    chatgptCompliance: "https://api.openai.com/compliance/cookie_requirements",
+    claudeTrace: "https://claude.ai/cdn-cgi/trace",
+    claudeLogin: "https://claude.ai/login",
+    netflixTitle: (id) => `https://www.netflix.com/title/${id}`,
+    youtubePremium: "https://www.youtube.com/premium",
+    disneyPlus: "https://www.disneyplus.com/",
+    tiktok: "https://www.tiktok.com/"
   },
+  // 入口 IP 來源（皆走 DIRECT），依優先順序取得 IP；bilibili 的回應另作為入口地理來源
+  // 前一個來源失敗或 inboundHedge 毫秒未回應即同時啟動下一個，全部來源合計不超過 inboundTimeout
+  inboundSources: [
+    { name: "bilibili", url: "https://api.bilibili.com/x/web-interface/zone", ip: (d) => d?.data?.addr },
+    { name: "ip.sb", url: "https://api-ipv4.ip.sb/geoip", ip: (d) => d?.ip },
+    { name: "ipinfo", url: "https://ipinfo.io/json", ip: (d) => d?.ip },
+    { name: "ipify", url: "https://api.ipify.org?format=json", ip: (d) => d?.ip }
+  ],
+  inboundTimeout: 3000,
+  inboundHedge: 1000,
+  // 本機位址判斷 NAT 類型：RFC 1918 私有網段與 RFC 6598 共享位址（CGNAT）
+  privateRanges: ["10.0.0.0/8", "172.16.0.0/12", "192.168.0.0/16"],
+  cgnatRange: "100.64.0.0/10",
   ipv6Timeout: 3000,
+  networkTimeout: 4000,
   policyRetryDelay: 500,
+  riskCache: {
+    size: 30
+  },
+  // 網路變更紀錄：保留最近 size 筆，面板統計 window 毫秒內的次數
+  history: {
+    size: 20,
+    window: 3600000
+  },
+  // 各來源分數最大差距超過此值時標示為分歧
+  riskDisagreement: 30,
+  audit: {
+    timeout: 60000,
+    probeTimeout: 8000,
+    concurrency: 4
+  },
+  // 自動選擇：分數 = 風控值 + IP 類型加權，新節點須低於目前節點 hysteresis 參數的分數，且距上次切換至少 minInterval 毫秒
+  // timeout 略短於模組的 cron timeout=120，確保逾時前能自行結束
+  autoselect: {
+    timeout: 115000,
+    minInterval: 1800000,
+    typePenalty: { residential: 0, unknown: 5, datacenter: 15 }
+  },
+  // 健康日報：時間序列最多保留 size 筆，日報統計最近 window 毫秒，平均值與更早紀錄相差 trend 分以上時標示趨勢
+  // timeout 略短於模組的 cron timeout=30，確保逾時前能自行結束
+  digest: {
+    timeout: 28000,
+    size: 500,
+    window: 86400000,
+    trend: 5,
+    maxPolicies: 5
+  },
+  // DNSBL 黑名單：預設查詢的區域（dnsbl 參數可覆寫）
+  // Spamhaus 拒絕公共 DNS 的查詢（回傳 127.255.255.x）、SORBS 已於 2024 年停止服務，皆不列入預設
+  // 需查詢 Spamhaus 時以 dnsbl 參數加入，並以 dnsbl_doh 指定自建的 DoH
+  dnsbl: {
+    timeout: 4000,
+    zones: ["b.barracudacentral.org", "bl.spamcop.net", "psbl.surriel.com"]
+  },
+  // DNS 洩漏測試：解析的子網域數量與各階段逾時，解析器最多查詢前 maxResolvers 個的地理資訊
+  // 各階段合計最長約 11 秒，超過面板時限，整體另以 deadline 截止，逾時則不顯示洩漏區段
+  dnsLeak: {
+    probes: 6,
+    probeTimeout: 2000,
+    timeout: 3000,
+    deadline: 6000,
+    maxResolvers: 4
+  },
+  unlock: {
+    timeout: 5000,
+    // Netflix 檢測片單：自製劇（LEGO Ninjago）與非自製劇（Breaking Bad）
+    netflixOriginal: "81280792",
+    netflixLicensed: "70143836",
+    perLine: 3
+  },
+  // 版面範本預設組：full 為內建完整版面（null），其餘為範本字串，語法見 renderTemplate()
+  templates: {
+    panel: {
+      full: null,
+      compact: "{out_flag} {out_ip} · {out_isp}\n{#risk}{risk}% {/risk}{risk_label}{#disagree} ⚠{/disagree} · {ip_type}",
+      outbound: "{out_ip}\n{out_geo}\n{out_isp}{#asn} · {asn}{/asn}{#out_ip6}\n\n{out_ip6}\n{out_geo6}\n{out_isp6}{/out_ip6}"
+    },
+    notify: {
+      full: null,
+      compact: "⌘ {policy}\n🅟 {out_flag} {out_ip} · {out_isp}\n{#risk}{risk}% {/risk}{risk_label} · {ip_type}"
+    }
+  },
+  // 常見 ASN 類型（isp／hosting／business／education），asn_types 參數與持久化儲存可覆寫或補充
+  asnTypes: {
+    13335: "hosting", 14061: "hosting", 15169: "hosting", 16276: "hosting", 16509: "hosting", 20473: "hosting",
+    24940: "hosting", 31898: "hosting", 45102: "hosting", 51167: "hosting", 63949: "hosting", 132203: "hosting",
+    8075: "hosting", 906: "hosting", 6939: "hosting", 25820: "hosting", 40065: "hosting", 36352: "hosting",
+    3462: "isp", 4134: "isp", 4713: "isp", 4780: "isp", 4837: "isp", 9808: "isp", 9924: "isp", 2516: "isp",
+    17676: "isp", 4760: "isp", 9304: "isp", 7922: "isp", 7018: "isp", 701: "isp", 3320: "isp", 3215: "isp",
+    4538: "education", 2907: "education", 11537: "education"
+  },
+  // bilibili 中文國家名稱對應的國家代碼（繁簡皆列），用於與其他來源比對
+  zhCountryCodes: {
+    "中國": "CN", "中国": "CN", "香港": "HK", "澳門": "MO", "澳门": "MO", "台灣": "TW", "台湾": "TW",
+    "日本": "JP", "韓國": "KR", "韩国": "KR", "新加坡": "SG", "美國": "US", "美国": "US",
+    "英國": "GB", "英国": "GB", "德國": "DE", "德国": "DE", "法國": "FR", "法国": "FR",
+    "荷蘭": "NL", "荷兰": "NL", "加拿大": "CA", "澳大利亞": "AU", "澳大利亚": "AU",
+    "俄羅斯": "RU", "俄罗斯": "RU", "印度": "IN", "馬來西亞": "MY", "马来西亚": "MY",
+    "泰國": "TH", "泰国": "TH", "越南": "VN", "菲律賓": "PH", "菲律宾": "PH", "土耳其": "TR"
+  },
+  builtinPolicies: ["DIRECT", "REJECT", "REJECT-TINYGIF", "REJECT-DROP", "REJECT-NO-DROP", "CELLULAR", "CELLULAR-ONLY", "HYBRID", "NO-HYBRID"],
   riskLevels: [
-    { max: 15, label: "極度純淨 IP", color: "#0D6E3D" },
-    { max: 25, label: "純淨 IP",     color: "#2E9F5E" },
-    { max: 40, label: "一般 IP",     color: "#8BC34A" },
-    { max: 50, label: "微風險 IP",   color: "#FFC107" },
-    { max: 70, label: "一般風險 IP", color: "#FF9800" },
-    { max: 100, label: "極度風險 IP", color: "#F44336" }
+    { max: 15, key: "veryClean", color: "#0D6E3D" },
+    { max: 25, key: "clean",     color: "#2E9F5E" },
+    { max: 40, key: "normal",    color: "#8BC34A" },
+    { max: 50, key: "slight",    color: "#FFC107" },
+    { max: 70, key: "medium",    color: "#FF9800" },
+    { max: 100, key: "high",     color: "#F44336" }
   ]
 };
 
-// ==================== 參數解析 ====================
-function parseArguments() {
-  let arg = {};
+// ==================== 多語系文字 ====================
+/**
+ * 面板、通知與報告的文字目錄，依 ui_lang 參數選用（與地理資料來源 lang 分開）
+ * 缺少的鍵回落到 zh-Hant；{name} 為插值欄位
+ */
+const I18N = {
+  "zh-Hant": {
+    timeoutTitle: "檢測逾時",
+    timeoutContent: "API 請求逾時",
+    ipFailTitle: "IP 取得失敗",
+    ipFailContent: "無法取得入口或出口 IPv4",
+    sep: "：",
+    policyTitle: "代理策略：{policy}",
+    risk: "IP 風控值",
+    riskShort: "風控",
+    riskSources: "評分來源",
+    disagree: "分歧",
+    sourcesDisagree: "來源分歧",
+    cached: "（快取：{age}）",
+    noScore: "無法評分",
+    noResponse: "無回應",
+    ipType: "IP 類型",
+    typeShort: "類型",
+    inIP: "入口 IP",
+    outIP: "出口 IP",
+    region: "地區",
+    isp: "電信商",
+    unlock: "服務解鎖",
+    notifyTitle: "⌘ 網路已切換 | {policy}",
+    alertTitle: "⛔ 出口規則違反 | {policy}",
+    "risk.veryClean": "極度純淨 IP",
+    "risk.clean": "純淨 IP",
+    "risk.normal": "一般 IP",
+    "risk.slight": "微風險 IP",
+    "risk.medium": "一般風險 IP",
+    "risk.high": "極度風險 IP",
+    "strategy.median": "中位數",
+    "strategy.max": "最高值",
+    "strategy.weighted": "加權平均",
+    "type.residential": "住宅 IP",
+    "type.datacenter": "機房 IP",
+    "type.broadcast": "廣播 IP",
+    "type.native": "原生 IP",
+    "type.unknown": "未知",
+    "age.justNow": "剛剛",
+    "age.minutes": "{n} 分鐘前",
+    "age.hours": "{n} 小時前",
+    "age.days": "{n} 天前",
+    "unlock.unlocked": "已解鎖",
+    "unlock.partial": "部分解鎖",
+    "unlock.blocked": "不支援",
+    "unlock.failed": "檢測失敗",
+    "unlock.originalsOnly": "僅自製劇",
+    "rule.noCountry": "{name} 無法確認出口地區",
+    "rule.countryNotIn": "{name} 出口地區 {cc} 不在 {list}",
+    "rule.countryBanned": "{name} 出口地區 {cc} 屬於禁止的 {list}",
+    "rule.noRisk": "{name} 無法取得風控值",
+    "rule.riskOver": "{name} 風控值 {risk}% 超過上限 {limit}",
+    "audit.title": "節點審計：{groups}（{ok}/{total}）",
+    "audit.unsupportedTitle": "節點審計無法使用",
+    "audit.unsupportedContent": "{app} 不支援查詢策略組或指定節點請求",
+    "audit.failTitle": "節點審計失敗",
+    "audit.failContent": "無法透過 $httpAPI 取得策略組",
+    "audit.emptyTitle": "節點審計",
+    "audit.emptyContent": "策略組中沒有可審計的節點",
+    "audit.nodeFailed": "取得失敗",
+    "audit.riskTimeout": "風控逾時",
+    "report.summary": "概要",
+    "report.generatedAt": "產生時間",
+    "report.app": "執行環境",
+    "report.policy": "代理策略",
+    "report.lastStored": "（上次紀錄：{policy}）",
+    "report.violation": "⛔ 規則違反",
+    "report.riskSources": "風險評分來源（{strategy}，差距 {spread}）",
+    "report.outbound4": "出口 IPv4",
+    "report.outbound6": "出口 IPv6",
+    "report.adopted": "採用",
+    "report.noData": "無資料",
+    "report.rules": "出口規則",
+    "report.cache": "風險評分快取",
+    "report.history": "最近紀錄",
+    "report.lastEvent": "上次網路變更",
+    "report.lastAlert": "上次規則警示",
+    "report.refresh": "重新查詢風險評分",
+    "geo.country": "國家不一致",
+    "geo.isp": "電信商不一致",
+    "geo.consensus": "共識",
+    "confidence.high": "高",
+    "confidence.medium": "中",
+    "confidence.low": "低",
+    asn: "ASN",
+    "asnType.isp": "電信業者",
+    "asnType.hosting": "機房／雲端",
+    "asnType.business": "企業",
+    "asnType.education": "教育機構",
+    "report.prefix": "網段",
+    "report.asnType": "ASN 類型",
+    "report.abuseCountry": "濫用聯絡國家",
+    dnsbl: "黑名單",
+    "dnsbl.listed": "已列入 {n}/{m}（{zones}）",
+    "dnsbl.clean": "未列入 0/{m}",
+    "dnsbl.unavailable": "查詢失敗",
+    "dnsbl.alertTitle": "⛔ IP 列入黑名單 | {policy}",
+    "dnsbl.newZones": "新列入：{zones}",
+    "dnsbl.status.listed": "已列入",
+    "dnsbl.status.clean": "未列入",
+    "dnsbl.status.failed": "查詢失敗",
+    dnsLeak: "DNS 解析器",
+    "dnsLeak.summary": "{n} 個",
+    "dnsLeak.foreign": "{n} 個與出口不同國家",
+    "dnsLeak.unavailable": "測試失敗",
+    "policy.uncertain": "{policy}（未確認）",
+    route: "決策路徑",
+    history: "網路變更",
+    "history.summary": "1 小時內 {n} 次 · 最近 {age}",
+    "net.wifi": "Wi-Fi {ssid}",
+    "net.cellular": "行動網路 {radio}",
+    "report.transitions": "網路變更紀錄",
+    netContext: "本機網路",
+    "net.local": "本機 {ip}",
+    "nat.direct": "公網直連",
+    "nat.nat": "NAT",
+    "nat.cgnat": "CGNAT（電信級 NAT）",
+    "report.ipSource": "IP 來源",
+    "auto.title": "自動選擇：{groups}",
+    "auto.unsupportedTitle": "自動選擇無法使用",
+    "auto.failTitle": "自動選擇失敗",
+    "auto.noGroups": "未設定 select_group",
+    "auto.switchTitle": "🔀 {group} 已切換：{from} → {to}",
+    "auto.switched": "{group}：{from} → {to}（{why}）",
+    "auto.kept": "{group}：維持 {node}（{reason}）",
+    "auto.reason.best": "已是最佳",
+    "auto.reason.margin": "差距 {diff} 未達 {hysteresis}",
+    "auto.reason.recent": "距上次切換未滿 {min} 分鐘",
+    "auto.reason.noCandidate": "無符合條件的節點",
+    "auto.reason.switchFailed": "切換失敗",
+    "auto.why.unknown": "目前選擇未知",
+    "auto.why.failed": "{node} 無法連線",
+    "auto.why.noScore": "{node} 無風控值",
+    "auto.why.rule": "{node} 違反規則：{reason}",
+    "auto.why.better": "分數 {from} → {to}，低 {diff}",
+    "auto.candidates": "候選：{list}",
+    "digest.recordTitle": "IP 健康紀錄",
+    "digest.recordFailed": "出口 IP 取得失敗",
+    "digest.title": "📊 IP 健康日報 {date}",
+    "digest.subtitle": "{runs} 次檢測 · {ips} 個出口 IP",
+    "digest.policy": "{policy}：平均 {avg}{trend} · 最差 {worst}",
+    "digest.types": "IP 類型時間：{list}",
+    "digest.failures": "來源失敗：{list}",
+    "digest.none": "無",
+    "privacy.hidden": "已隱藏",
+    "report.consensus": "{flag} {code}（{agree}/{total}，{confidence}）",
+    "report.tableTitle": "{title}（{summary}）",
+    "auto.candidate": "{node} {score}（{type}）",
+    errorContent: "執行錯誤：{message}"
+  },
+  "zh-Hans": {
+    timeoutTitle: "检测超时",
+    timeoutContent: "API 请求超时",
+    ipFailTitle: "IP 获取失败",
+    ipFailContent: "无法获取入口或出口 IPv4",
+    sep: "：",
+    policyTitle: "代理策略：{policy}",
+    risk: "IP 风控值",
+    riskShort: "风控",
+    riskSources: "评分来源",
+    disagree: "分歧",
+    sourcesDisagree: "来源分歧",
+    cached: "（缓存：{age}）",
+    noScore: "无法评分",
+    noResponse: "无响应",
+    ipType: "IP 类型",
+    typeShort: "类型",
+    inIP: "入口 IP",
+    outIP: "出口 IP",
+    region: "地区",
+    isp: "运营商",
+    unlock: "服务解锁",
+    notifyTitle: "⌘ 网络已切换 | {policy}",
+    alertTitle: "⛔ 出口规则违反 | {policy}",
+    "risk.veryClean": "极度纯净 IP",
+    "risk.clean": "纯净 IP",
+    "risk.normal": "一般 IP",
+    "risk.slight": "微风险 IP",
+    "risk.medium": "一般风险 IP",
+    "risk.high": "极度风险 IP",
+    "strategy.median": "中位数",
+    "strategy.max": "最高值",
+    "strategy.weighted": "加权平均",
+    "type.residential": "住宅 IP",
+    "type.datacenter": "机房 IP",
+    "type.broadcast": "广播 IP",
+    "type.native": "原生 IP",
+    "type.unknown": "未知",
+    "age.justNow": "刚刚",
+    "age.minutes": "{n} 分钟前",
+    "age.hours": "{n} 小时前",
+    "age.days": "{n} 天前",
+    "unlock.unlocked": "已解锁",
+    "unlock.partial": "部分解锁",
+    "unlock.blocked": "不支持",
+    "unlock.failed": "检测失败",
+    "unlock.originalsOnly": "仅自制剧",
+    "rule.noCountry": "{name} 无法确认出口地区",
+    "rule.countryNotIn": "{name} 出口地区 {cc} 不在 {list}",
+    "rule.countryBanned": "{name} 出口地区 {cc} 属于禁止的 {list}",
+    "rule.noRisk": "{name} 无法获取风控值",
+    "rule.riskOver": "{name} 风控值 {risk}% 超过上限 {limit}",
+    "audit.title": "节点审计：{groups}（{ok}/{total}）",
+    "audit.unsupportedTitle": "节点审计无法使用",
+    "audit.unsupportedContent": "{app} 不支持查询策略组或指定节点请求",
+    "audit.failTitle": "节点审计失败",
+    "audit.failContent": "无法通过 $httpAPI 获取策略组",
+    "audit.emptyTitle": "节点审计",
+    "audit.emptyContent": "策略组中没有可审计的节点",
+    "audit.nodeFailed": "获取失败",
+    "audit.riskTimeout": "风控超时",
+    "report.summary": "概要",
+    "report.generatedAt": "生成时间",
+    "report.app": "运行环境",
+    "report.policy": "代理策略",
+    "report.lastStored": "（上次记录：{policy}）",
+    "report.violation": "⛔ 规则违反",
+    "report.riskSources": "风险评分来源（{strategy}，差距 {spread}）",
+    "report.outbound4": "出口 IPv4",
+    "report.outbound6": "出口 IPv6",
+    "report.adopted": "采用",
+    "report.noData": "无数据",
+    "report.rules": "出口规则",
+    "report.cache": "风险评分缓存",
+    "report.history": "最近记录",
+    "report.lastEvent": "上次网络变更",
+    "report.lastAlert": "上次规则警示",
+    "report.refresh": "重新查询风险评分",
+    "geo.country": "国家不一致",
+    "geo.isp": "运营商不一致",
+    "geo.consensus": "共识",
+    "confidence.high": "高",
+    "confidence.medium": "中",
+    "confidence.low": "低",
+    asn: "ASN",
+    "asnType.isp": "电信运营商",
+    "asnType.hosting": "机房／云",
+    "asnType.business": "企业",
+    "asnType.education": "教育机构",
+    "report.prefix": "网段",
+    "report.asnType": "ASN 类型",
+    "report.abuseCountry": "滥用联系国家",
+    dnsbl: "黑名单",
+    "dnsbl.listed": "已列入 {n}/{m}（{zones}）",
+    "dnsbl.clean": "未列入 0/{m}",
+    "dnsbl.unavailable": "查询失败",
+    "dnsbl.alertTitle": "⛔ IP 列入黑名单 | {policy}",
+    "dnsbl.newZones": "新列入：{zones}",
+    "dnsbl.status.listed": "已列入",
+    "dnsbl.status.clean": "未列入",
+    "dnsbl.status.failed": "查询失败",
+    dnsLeak: "DNS 解析器",
+    "dnsLeak.summary": "{n} 个",
+    "dnsLeak.foreign": "{n} 个与出口不同国家",
+    "dnsLeak.unavailable": "测试失败",
+    "policy.uncertain": "{policy}（未确认）",
+    route: "决策路径",
+    history: "网络变更",
+    "history.summary": "1 小时内 {n} 次 · 最近 {age}",
+    "net.wifi": "Wi-Fi {ssid}",
+    "net.cellular": "移动网络 {radio}",
+    "report.transitions": "网络变更记录",
+    netContext: "本机网络",
+    "net.local": "本机 {ip}",
+    "nat.direct": "公网直连",
+    "nat.nat": "NAT",
+    "nat.cgnat": "CGNAT（运营商级 NAT）",
+    "report.ipSource": "IP 来源",
+    "auto.title": "自动选择：{groups}",
+    "auto.unsupportedTitle": "自动选择无法使用",
+    "auto.failTitle": "自动选择失败",
+    "auto.noGroups": "未设置 select_group",
+    "auto.switchTitle": "🔀 {group} 已切换：{from} → {to}",
+    "auto.switched": "{group}：{from} → {to}（{why}）",
+    "auto.kept": "{group}：维持 {node}（{reason}）",
+    "auto.reason.best": "已是最佳",
+    "auto.reason.margin": "差距 {diff} 未达 {hysteresis}",
+    "auto.reason.recent": "距上次切换未满 {min} 分钟",
+    "auto.reason.noCandidate": "无符合条件的节点",
+    "auto.reason.switchFailed": "切换失败",
+    "auto.why.unknown": "目前选择未知",
+    "auto.why.failed": "{node} 无法连接",
+    "auto.why.noScore": "{node} 无风控值",
+    "auto.why.rule": "{node} 违反规则：{reason}",
+    "auto.why.better": "分数 {from} → {to}，低 {diff}",
+    "auto.candidates": "候选：{list}",
+    "digest.recordTitle": "IP 健康记录",
+    "digest.recordFailed": "出口 IP 获取失败",
+    "digest.title": "📊 IP 健康日报 {date}",
+    "digest.subtitle": "{runs} 次检测 · {ips} 个出口 IP",
+    "digest.policy": "{policy}：平均 {avg}{trend} · 最差 {worst}",
+    "digest.types": "IP 类型时间：{list}",
+    "digest.failures": "来源失败：{list}",
+    "digest.none": "无",
+    "privacy.hidden": "已隐藏",
+    "report.consensus": "{flag} {code}（{agree}/{total}，{confidence}）",
+    "report.tableTitle": "{title}（{summary}）",
+    "auto.candidate": "{node} {score}（{type}）",
+    errorContent: "执行错误：{message}"
+  },
+  en: {
+    timeoutTitle: "Check timed out",
+    timeoutContent: "API requests timed out",
+    ipFailTitle: "IP lookup failed",
+    ipFailContent: "Could not get the inbound or outbound IPv4",
+    sep: ": ",
+    policyTitle: "Policy: {policy}",
+    risk: "IP risk",
+    riskShort: "Risk",
+    riskSources: "Sources",
+    disagree: "disagree",
+    sourcesDisagree: "sources disagree",
+    cached: " (cached {age})",
+    noScore: "No score",
+    noResponse: "no response",
+    ipType: "IP type",
+    typeShort: "Type",
+    inIP: "Inbound IP",
+    outIP: "Outbound IP",
+    region: "Location",
+    isp: "ISP",
+    unlock: "Services",
+    notifyTitle: "⌘ Network changed | {policy}",
+    alertTitle: "⛔ Exit rule violated | {policy}",
+    "risk.veryClean": "Very clean IP",
+    "risk.clean": "Clean IP",
+    "risk.normal": "Normal IP",
+    "risk.slight": "Slightly risky IP",
+    "risk.medium": "Risky IP",
+    "risk.high": "Very risky IP",
+    "strategy.median": "median",
+    "strategy.max": "max",
+    "strategy.weighted": "weighted",
+    "type.residential": "Residential",
+    "type.datacenter": "Datacenter",
+    "type.broadcast": "Broadcast",
+    "type.native": "Native",
+    "type.unknown": "Unknown",
+    "age.justNow": "just now",
+    "age.minutes": "{n} min ago",
+    "age.hours": "{n} h ago",
+    "age.days": "{n} d ago",
+    "unlock.unlocked": "Unlocked",
+    "unlock.partial": "Partial",
+    "unlock.blocked": "Blocked",
+    "unlock.failed": "Check failed",
+    "unlock.originalsOnly": "originals only",
+    "rule.noCountry": "{name}: exit country unknown",
+    "rule.countryNotIn": "{name}: exits in {cc}, expected {list}",
+    "rule.countryBanned": "{name}: exits in {cc}, which is excluded ({list})",
+    "rule.noRisk": "{name}: risk score unavailable",
+    "rule.riskOver": "{name}: risk {risk}% exceeds limit {limit}",
+    "audit.title": "Node audit: {groups} ({ok}/{total})",
+    "audit.unsupportedTitle": "Node audit unavailable",
+    "audit.unsupportedContent": "{app} cannot list policy groups or send requests through a node",
+    "audit.failTitle": "Node audit failed",
+    "audit.failContent": "Could not read policy groups through $httpAPI",
+    "audit.emptyTitle": "Node audit",
+    "audit.emptyContent": "No nodes to audit in the policy groups",
+    "audit.nodeFailed": "lookup failed",
+    "audit.riskTimeout": "risk timed out",
+    "report.summary": "Summary",
+    "report.generatedAt": "Generated",
+    "report.app": "App",
+    "report.policy": "Policy",
+    "report.lastStored": " (last stored: {policy})",
+    "report.violation": "⛔ Rule violated",
+    "report.riskSources": "Risk sources ({strategy}, spread {spread})",
+    "report.outbound4": "Outbound IPv4",
+    "report.outbound6": "Outbound IPv6",
+    "report.adopted": "Used",
+    "report.noData": "no data",
+    "report.rules": "Exit rules",
+    "report.cache": "Risk score cache",
+    "report.history": "Recent history",
+    "report.lastEvent": "Last network change",
+    "report.lastAlert": "Last rule alert",
+    "report.refresh": "Refresh risk scores",
+    "geo.country": "Country mismatch",
+    "geo.isp": "ISP mismatch",
+    "geo.consensus": "Consensus",
+    "confidence.high": "high",
+    "confidence.medium": "medium",
+    "confidence.low": "low",
+    asn: "ASN",
+    "asnType.isp": "ISP",
+    "asnType.hosting": "Hosting",
+    "asnType.business": "Business",
+    "asnType.education": "Education",
+    "report.prefix": "Prefix",
+    "report.asnType": "ASN type",
+    "report.abuseCountry": "Abuse contact country",
+    dnsbl: "Blacklists",
+    "dnsbl.listed": "listed on {n}/{m} ({zones})",
+    "dnsbl.clean": "not listed (0/{m})",
+    "dnsbl.unavailable": "lookup failed",
+    "dnsbl.alertTitle": "⛔ IP blacklisted | {policy}",
+    "dnsbl.newZones": "Newly listed: {zones}",
+    "dnsbl.status.listed": "listed",
+    "dnsbl.status.clean": "not listed",
+    "dnsbl.status.failed": "lookup failed",
+    dnsLeak: "DNS resolvers",
+    "dnsLeak.summary": "{n} seen",
+    "dnsLeak.foreign": "{n} outside the exit country",
+    "dnsLeak.unavailable": "test failed",
+    "policy.uncertain": "{policy} (unconfirmed)",
+    route: "Decision path",
+    history: "Network changes",
+    "history.summary": "{n} in the last hour · latest {age}",
+    "net.wifi": "Wi-Fi {ssid}",
+    "net.cellular": "Cellular {radio}",
+    "report.transitions": "Network change history",
+    netContext: "Local network",
+    "net.local": "local {ip}",
+    "nat.direct": "public IP",
+    "nat.nat": "NAT",
+    "nat.cgnat": "CGNAT (carrier-grade NAT)",
+    "report.ipSource": "IP source",
+    "auto.title": "Auto-select: {groups}",
+    "auto.unsupportedTitle": "Auto-select unavailable",
+    "auto.failTitle": "Auto-select failed",
+    "auto.noGroups": "select_group is not set",
+    "auto.switchTitle": "🔀 {group} switched: {from} → {to}",
+    "auto.switched": "{group}: {from} → {to} ({why})",
+    "auto.kept": "{group}: kept {node} ({reason})",
+    "auto.reason.best": "already the best",
+    "auto.reason.margin": "gap {diff} below {hysteresis}",
+    "auto.reason.recent": "switched less than {min} min ago",
+    "auto.reason.noCandidate": "no eligible node",
+    "auto.reason.switchFailed": "switch failed",
+    "auto.why.unknown": "current selection unknown",
+    "auto.why.failed": "{node} unreachable",
+    "auto.why.noScore": "{node} has no risk score",
+    "auto.why.rule": "{node} breaks a rule: {reason}",
+    "auto.why.better": "score {from} → {to}, {diff} lower",
+    "auto.candidates": "Candidates: {list}",
+    "digest.recordTitle": "IP health sample",
+    "digest.recordFailed": "Could not get the exit IP",
+    "digest.title": "📊 IP health digest {date}",
+    "digest.subtitle": "{runs} checks · {ips} exit IPs",
+    "digest.policy": "{policy}: avg {avg}{trend} · worst {worst}",
+    "digest.types": "Time by IP type: {list}",
+    "digest.failures": "Provider failures: {list}",
+    "digest.none": "none",
+    "privacy.hidden": "Hidden",
+    "report.consensus": "{flag} {code} ({agree}/{total}, {confidence})",
+    "report.tableTitle": "{title}: {summary}",
+    "auto.candidate": "{node} {score} ({type})",
+    errorContent: "Script error: {message}"
+  },
+  ja: {
+    timeoutTitle: "チェックがタイムアウトしました",
+    timeoutContent: "API リクエストがタイムアウトしました",
+    ipFailTitle: "IP の取得に失敗しました",
+    ipFailContent: "入口または出口の IPv4 を取得できません",
+    sep: "：",
+    policyTitle: "プロキシポリシー：{policy}",
+    risk: "IP リスク値",
+    riskShort: "リスク",
+    riskSources: "評価元",
+    disagree: "不一致",
+    sourcesDisagree: "評価元が不一致",
+    cached: "（キャッシュ：{age}）",
+    noScore: "評価不可",
+    noResponse: "応答なし",
+    ipType: "IP タイプ",
+    typeShort: "タイプ",
+    inIP: "入口 IP",
+    outIP: "出口 IP",
+    region: "地域",
+    isp: "ISP",
+    unlock: "サービス利用可否",
+    notifyTitle: "⌘ ネットワーク切替 | {policy}",
+    alertTitle: "⛔ 出口ルール違反 | {policy}",
+    "risk.veryClean": "極めてクリーンな IP",
+    "risk.clean": "クリーンな IP",
+    "risk.normal": "一般的な IP",
+    "risk.slight": "やや危険な IP",
+    "risk.medium": "危険な IP",
+    "risk.high": "極めて危険な IP",
+    "strategy.median": "中央値",
+    "strategy.max": "最大値",
+    "strategy.weighted": "加重平均",
+    "type.residential": "住宅 IP",
+    "type.datacenter": "データセンター IP",
+    "type.broadcast": "ブロードキャスト IP",
+    "type.native": "ネイティブ IP",
+    "type.unknown": "不明",
+    "age.justNow": "たった今",
+    "age.minutes": "{n} 分前",
+    "age.hours": "{n} 時間前",
+    "age.days": "{n} 日前",
+    "unlock.unlocked": "利用可",
+    "unlock.partial": "一部利用可",
+    "unlock.blocked": "利用不可",
+    "unlock.failed": "確認失敗",
+    "unlock.originalsOnly": "オリジナルのみ",
+    "rule.noCountry": "{name}：出口の国を確認できません",
+    "rule.countryNotIn": "{name}：出口 {cc} は {list} 以外です",
+    "rule.countryBanned": "{name}：出口 {cc} は禁止対象（{list}）です",
+    "rule.noRisk": "{name}：リスク値を取得できません",
+    "rule.riskOver": "{name}：リスク値 {risk}% が上限 {limit} を超えています",
+    "audit.title": "ノード監査：{groups}（{ok}/{total}）",
+    "audit.unsupportedTitle": "ノード監査は利用できません",
+    "audit.unsupportedContent": "{app} はポリシーグループの取得やノード指定リクエストに対応していません",
+    "audit.failTitle": "ノード監査に失敗しました",
+    "audit.failContent": "$httpAPI でポリシーグループを取得できません",
+    "audit.emptyTitle": "ノード監査",
+    "audit.emptyContent": "監査できるノードがありません",
+    "audit.nodeFailed": "取得失敗",
+    "audit.riskTimeout": "リスク値タイムアウト",
+    "report.summary": "概要",
+    "report.generatedAt": "生成日時",
+    "report.app": "実行環境",
+    "report.policy": "プロキシポリシー",
+    "report.lastStored": "（前回の記録：{policy}）",
+    "report.violation": "⛔ ルール違反",
+    "report.riskSources": "リスク評価元（{strategy}、差 {spread}）",
+    "report.outbound4": "出口 IPv4",
+    "report.outbound6": "出口 IPv6",
+    "report.adopted": "採用",
+    "report.noData": "データなし",
+    "report.rules": "出口ルール",
+    "report.cache": "リスク値キャッシュ",
+    "report.history": "最近の記録",
+    "report.lastEvent": "前回のネットワーク変更",
+    "report.lastAlert": "前回のルール警告",
+    "report.refresh": "リスク値を再取得",
+    "geo.country": "国が不一致",
+    "geo.isp": "ISP が不一致",
+    "geo.consensus": "合意",
+    "confidence.high": "高",
+    "confidence.medium": "中",
+    "confidence.low": "低",
+    asn: "ASN",
+    "asnType.isp": "ISP",
+    "asnType.hosting": "ホスティング",
+    "asnType.business": "企業",
+    "asnType.education": "教育機関",
+    "report.prefix": "プレフィックス",
+    "report.asnType": "ASN タイプ",
+    "report.abuseCountry": "不正利用窓口の国",
+    dnsbl: "ブラックリスト",
+    "dnsbl.listed": "{n}/{m} に掲載（{zones}）",
+    "dnsbl.clean": "掲載なし（0/{m}）",
+    "dnsbl.unavailable": "確認失敗",
+    "dnsbl.alertTitle": "⛔ IP がブラックリストに掲載 | {policy}",
+    "dnsbl.newZones": "新規掲載：{zones}",
+    "dnsbl.status.listed": "掲載",
+    "dnsbl.status.clean": "掲載なし",
+    "dnsbl.status.failed": "確認失敗",
+    dnsLeak: "DNS リゾルバ",
+    "dnsLeak.summary": "{n} 件",
+    "dnsLeak.foreign": "{n} 件が出口と異なる国",
+    "dnsLeak.unavailable": "テスト失敗",
+    "policy.uncertain": "{policy}（未確認）",
+    route: "決定パス",
+    history: "ネットワーク変更",
+    "history.summary": "1 時間以内 {n} 回 · 最新 {age}",
+    "net.wifi": "Wi-Fi {ssid}",
+    "net.cellular": "モバイル通信 {radio}",
+    "report.transitions": "ネットワーク変更履歴",
+    netContext: "ローカルネットワーク",
+    "net.local": "ローカル {ip}",
+    "nat.direct": "グローバル IP",
+    "nat.nat": "NAT",
+    "nat.cgnat": "CGNAT（キャリアグレード NAT）",
+    "report.ipSource": "IP 取得元",
+    "auto.title": "自動選択：{groups}",
+    "auto.unsupportedTitle": "自動選択は使用できません",
+    "auto.failTitle": "自動選択に失敗しました",
+    "auto.noGroups": "select_group が未設定です",
+    "auto.switchTitle": "🔀 {group} を切替：{from} → {to}",
+    "auto.switched": "{group}：{from} → {to}（{why}）",
+    "auto.kept": "{group}：{node} を維持（{reason}）",
+    "auto.reason.best": "最良",
+    "auto.reason.margin": "差 {diff} が {hysteresis} 未満",
+    "auto.reason.recent": "前回の切替から {min} 分未満",
+    "auto.reason.noCandidate": "条件を満たすノードなし",
+    "auto.reason.switchFailed": "切替失敗",
+    "auto.why.unknown": "現在の選択が不明",
+    "auto.why.failed": "{node} に接続できません",
+    "auto.why.noScore": "{node} のリスク値なし",
+    "auto.why.rule": "{node} がルール違反：{reason}",
+    "auto.why.better": "スコア {from} → {to}、{diff} 低い",
+    "auto.candidates": "候補：{list}",
+    "digest.recordTitle": "IP ヘルス記録",
+    "digest.recordFailed": "出口 IP を取得できません",
+    "digest.title": "📊 IP ヘルス日報 {date}",
+    "digest.subtitle": "{runs} 回チェック · 出口 IP {ips} 個",
+    "digest.policy": "{policy}：平均 {avg}{trend} · 最悪 {worst}",
+    "digest.types": "IP タイプ別の時間：{list}",
+    "digest.failures": "取得失敗：{list}",
+    "digest.none": "なし",
+    "privacy.hidden": "非表示",
+    "report.consensus": "{flag} {code}（{agree}/{total}、{confidence}）",
+    "report.tableTitle": "{title}（{summary}）",
+    "auto.candidate": "{node} {score}（{type}）",
+    errorContent: "実行エラー：{message}"
+  }
+};
+
+/**
+ * 依 ui_lang 取得介面文字並代入 {name} 欄位，缺少的鍵回落到 zh-Hant
+ */
+function t(key, vars) {
+  const text = I18N[args.uiLang]?.[key] ?? I18N["zh-Hant"][key] ?? key;
+  return vars ? text.replace(/\{(\w+)\}/g, (m, name) => vars[name] ?? m) : text;
+}
+
+/**
+ * 介面欄位：出口 IP⁴：203.0.113.10（mark 為上標等標記）
+ */
+function labeled(key, value, mark = "") {
+  return t(key) + mark + t("sep") + value;
+}
+
+// ==================== 執行環境相容層 ====================
+/**
+ * 偵測執行的 App 並將 HTTP、儲存、通知、結束等呼叫對應到各 App 的原生 API
+ * Shadowrocket 與 Stash 相容 Surge 的全域變數，需優先判斷
+ */
+const ENV = (() => {
+  const has = (name) => typeof globalThis[name] !== "undefined";
+  const environment = has("$environment") ? $environment : {};
+  const app = has("$rocket") ? "Shadowrocket"
+    : environment["stash-version"] ? "Stash"
+    : has("$loon") ? "Loon"
+    : has("$task") ? "QuantumultX"
+    : "Surge";
+  const isQX = app === "QuantumultX";
+
+  // 各 App 支援的功能：api＝$httpAPI（策略查詢、策略組），policy＝請求指定策略
+  const supports = {
+    api: app === "Surge" && has("$httpAPI"),
+    policy: app === "Surge" || app === "Loon" || isQX
+  };
+
+  /**
+   * 送出請求，回傳 { status, headers, body }，失敗回傳 null
+   * @param {Object} opts { url, method, headers, body, policy, "auto-redirect" }
+   */
+  function http(opts) {
+    const { policy, method = "GET", ...req } = opts;
+    if (isQX) {
+      const qxOpts = {};
+      if (policy) qxOpts.policy = policy;
+      if (req["auto-redirect"] === false) qxOpts.redirection = false;
+      delete req["auto-redirect"];
+      return $task.fetch({ ...req, method, opts: qxOpts }).then(
+        resp => ({ status: resp.statusCode, headers: resp.headers || {}, body: resp.body || "" }),
+        () => null
+      );
+    }
+    if (policy && supports.policy) req[app === "Loon" ? "node" : "policy"] = policy;
+    return new Promise(r => {
+      $httpClient[method.toLowerCase()](req, (err, resp, d) => {
+        if (err || !resp) return r(null);
+        r({ status: resp.status || resp.statusCode, headers: resp.headers || {}, body: d || "" });
+      });
+    });
+  }
+
+  /**
+   * 呼叫 Surge HTTP API，不支援的 App 回傳 null
+   */
+  function api(method, path, body) {
+    if (!supports.api) return Promise.resolve(null);
+    return new Promise(r => $httpAPI(method, path, body || null, res => r(res)));
+  }
+
+  function read(key) {
+    return isQX ? $prefs.valueForKey(key) : $persistentStore.read(key);
+  }
+
+  function write(value, key) {
+    return isQX ? $prefs.setValueForKey(value, key) : $persistentStore.write(value, key);
+  }
 
-  if (typeof $argument !== "undefined") {
-    arg = Object.fromEntries($argument.split("&").map(i => {
+  function notify(title, subtitle, body, options) {
+    if (isQX) return $notify(title, subtitle, body, options);
+    $notification.post(title, subtitle, body, options);
+  }
+
+  /**
+   * 結束腳本；面板內容依 App 轉換為對應格式
+   * Surge／Shadowrocket：原樣 | Stash：backgroundColor | Loon／Quantumult X：htmlMessage
+   */
+  function finish(o) {
+    if (!o?.content) return $done(o || {});
+    if (app === "Stash") {
+      return $done({ title: o.title, content: o.content, icon: o.icon, backgroundColor: o["icon-color"] });
+    }
+    if (app === "Loon" || isQX) {
+      const html = o.content.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/\n/g, "<br>");
+      return $done({ title: o.title, htmlMessage: "<p style=\"text-align:left;font-family:-apple-system;font-size:14px\">" + html + "</p>" });
+    }
+    $done(o);
+  }
+
+  /**
+   * 回應 http-request 請求
+   * Surge／Loon／Stash／Shadowrocket：{ response } | Quantumult X：{ status, headers, body }
+   */
+  function respond(status, headers, body) {
+    if (isQX) return $done({ status: "HTTP/1.1 " + status, headers, body });
+    $done({ response: { status, headers, body } });
+  }
+
+  function parseQuery(text) {
+    return Object.fromEntries(text.split("&").filter(Boolean).map(i => {
       const idx = i.indexOf("=");
       return idx === -1 ? [i, ""] : [i.slice(0, idx), i.slice(idx + 1)];
     }));
   }
 
-  const storedArg = $persistentStore.read(CONFIG.name);
+  /**
+   * 讀取腳本參數：字串（a=1&b=2）或物件（Loon [Argument]）
+   */
+  function argument() {
+    if (!has("$argument") || !$argument) return {};
+    if (typeof $argument === "object") {
+      return Object.fromEntries(Object.entries($argument).map(([k, v]) => [k, String(v)]));
+    }
+    return parseQuery($argument);
+  }
+
+  /**
+   * 讀取 http-request 網址的查詢參數
+   */
+  function requestQuery() {
+    if (!has("$request")) return {};
+    const idx = $request.url.indexOf("?");
+    return idx === -1 ? {} : parseQuery($request.url.slice(idx + 1));
+  }
+
+  /**
+   * 判斷是否由面板類介面觸發（Surge Panel、Stash Tile、Quantumult X UI 互動、Loon 節點腳本）
+   */
+  function isPanel() {
+    if (app === "Stash") return has("$script") && $script.type === "tile";
+    if (isQX) return environment.executor === "event-interaction";
+    if (app === "Loon") return environment.params !== undefined;
+    return has("$input") && $input.purpose === "panel";
+  }
+
+  /**
+   * 目前的網路介面（$network）：Wi-Fi SSID、行動網路電信商與制式、本機 IPv4，App 未提供時回傳 null
+   */
+  function network() {
+    if (!has("$network") || !$network) return null;
+    const cellular = $network["cellular-data"] || {};
+    return {
+      ssid: $network.wifi?.ssid || "",
+      cellular: [cellular.carrier, cellular.radio].filter(Boolean).join(" "),
+      localIP: $network.v4?.primaryAddress || ""
+    };
+  }
+
+  return {
+    app, supports, http, api, read, write, notify, finish, respond, argument, requestQuery, isPanel, network,
+    isRequest: has("$request")
+  };
+})();
+
+// ==================== 參數解析 ====================
+/**
+ * 正規化 ui_lang：接受 en、zh-Hant、zh-Hans、ja 及 zh-TW／zh-CN 等別名，預設 zh-Hant
+ */
+function parseUILang(value) {
+  const aliases = { "zh-tw": "zh-Hant", "zh-hk": "zh-Hant", "zh-cn": "zh-Hans", "zh-sg": "zh-Hans", "ja-jp": "ja" };
+  const lower = (value || "").toLowerCase();
+  return Object.keys(I18N).find(k => k.toLowerCase() === lower) || aliases[lower] || "zh-Hant";
+}
+
+/**
+ * 解析版面範本參數：預設組名稱原樣保留，自訂範本解碼網址編碼並將 \n 轉為換行，預設 full
+ */
+function parseTemplate(value) {
+  if (!value || value === "null") return "full";
+  let text = value;
+  try { text = decodeURIComponent(value); } catch (e) {}
+  return text.replace(/\\n/g, "\n");
+}
+
+// 所有腳本共用的觸發方式
+const ALL_TRIGGERS = ["panel", "event", "report", "audit", "autoselect", "digest"];
+
+/**
+ * 參數清單：parseArguments 依此驗證與轉換型別，Scripts/tools/generate-modules.js 依此產生 .sgmodule
+ * - name：參數名稱；key：parseArguments 回傳的欄位（未設定者只驗證不回傳）
+ * - type：string、text（網址解碼）、bool、number（min／max／integer）、enum（values）、list（以逗號或 | 分隔）、
+ *     custom（parse 自行處理原始字串，未設定時為空字串）
+ * - default：未設定或無效時的值；triggers：使用此參數的腳本（panel、event、report、audit、autoselect、digest）
+ * - module：模組 #!arguments 的預設值（可依語言分別指定），未設定者不列入模組；desc：模組參數說明（繁體、簡體）
+ * 此陣列須維持為字面值（generate-modules.js 直接解析原始碼），預設值不可參照 CONFIG 等變數
+ */
+const PARAMS = [
+  {
+    name: "ipqs_key", key: "ipqsKey", type: "string", default: "", triggers: ALL_TRIGGERS, module: "null",
+    desc: { "zh-Hant": "(可選) IPQualityScore API Key，留空使用免費服務", "zh-Hans": "(可选) IPQualityScore API Key，留空使用免费服务" }
+  },
+  {
+    name: "abuseipdb_key", key: "abuseIPDBKey", type: "string", default: "", triggers: ALL_TRIGGERS, module: "null",
+    desc: { "zh-Hant": "(可選) AbuseIPDB API Key，留空則不啟用", "zh-Hans": "(可选) AbuseIPDB API Key，留空则不启用" }
+  },
+  {
+    name: "ipinfo_token", key: "ipinfoToken", type: "string", default: "", triggers: ALL_TRIGGERS, module: "null",
+    desc: {
+      "zh-Hant": "(可選) ipinfo.io Token，付費方案可取得 ASN 類型、網段與濫用聯絡國家",
+      "zh-Hans": "(可选) ipinfo.io Token，付费方案可获取 ASN 类型、网段与滥用联系国家"
+    }
+  },
+  {
+    name: "dnsbl", key: "dnsblZones", type: "custom", triggers: ["panel", "event", "report"], module: "null",
+    parse: (v) => /^(none|0|false)$/i.test(v) ? [] : (splitList(v).length ? splitList(v) : CONFIG.dnsbl.zones),
+    desc: {
+      "zh-Hant": "(可選) 查詢的 DNSBL 區域，以 | 分隔，留空使用預設清單（Barracuda、SpamCop、PSBL），none=停用",
+      "zh-Hans": "(可选) 查询的 DNSBL 区域，以 | 分隔，留空使用默认列表（Barracuda、SpamCop、PSBL），none=停用"
+    }
+  },
+  {
+    name: "dns_leak", key: "dnsLeak", type: "bool", default: false, triggers: ["panel", "event", "report"], module: "0",
+    desc: {
+      "zh-Hant": "(可選) DNS 洩漏測試，1=開啟，列出實際查詢的解析器並標示與出口不同國家者，0=關閉，預設 0",
+      "zh-Hans": "(可选) DNS 泄漏测试，1=开启，列出实际查询的解析器并标示与出口不同国家者，0=关闭，默认 0"
+    }
+  },
+  {
+    name: "risk_strategy", key: "riskStrategy", type: "enum", values: ["median", "max", "weighted"], default: "median",
+    triggers: ALL_TRIGGERS, module: "median",
+    desc: {
+      "zh-Hant": "(可選) 多來源分數合併方式，median=中位數，max=最高值，weighted=加權平均，預設 median",
+      "zh-Hans": "(可选) 多来源分数合并方式，median=中位数，max=最高值，weighted=加权平均，默认 median"
+    }
+  },
+  {
+    name: "force_refresh", key: "forceRefresh", type: "bool", default: false, triggers: ["panel", "report"], module: "0",
+    desc: {
+      "zh-Hant": "(可選) 面板略過風險評分快取，1=每次重新查詢，0=依各來源有效期使用快取，預設 0",
+      "zh-Hans": "(可选) 面板跳过风险评分缓存，1=每次重新查询，0=依各来源有效期使用缓存，默认 0"
+    }
+  },
+  {
+    name: "lang", key: "lang", type: "enum", values: ["en", "zh"], default: "en", triggers: ["panel", "event", "report"], module: "en",
+    desc: {
+      "zh-Hant": "(可選) 地理資訊語言，en=英文(ipinfo.io)，zh=中文(bilibili)，預設 en",
+      "zh-Hans": "(可选) 地理信息语言，en=英文(ipinfo.io)，zh=中文(bilibili)，默认 en"
+    }
+  },
+  {
+    name: "ui_lang", key: "uiLang", type: "custom", triggers: ALL_TRIGGERS, module: { "zh-Hant": "zh-Hant", "zh-Hans": "zh-Hans" },
+    parse: (v) => parseUILang(v),
+    desc: {
+      "zh-Hant": "(可選) 面板與通知的介面語言，zh-Hant=繁體中文，zh-Hans=簡體中文，en=英文，ja=日文，預設 zh-Hant",
+      "zh-Hans": "(可选) 面板与通知的界面语言，zh-Hant=繁体中文，zh-Hans=简体中文，en=英文，ja=日文，默认 zh-Hans"
+    }
+  },
+  {
+    name: "template", key: "template", type: "custom", triggers: ["panel"], module: "full",
+    parse: (v) => parseTemplate(v),
+    desc: {
+      "zh-Hant": "(可選) 面板版面，full=完整，compact=兩行精簡，outbound=僅出口，或自訂範本（欄位與語法見腳本說明），預設 full",
+      "zh-Hans": "(可选) 面板版面，full=完整，compact=两行精简，outbound=仅出口，或自定义模板（字段与语法见脚本说明），默认 full"
+    }
+  },
+  {
+    name: "notify_template", key: "notifyTemplate", type: "custom", triggers: ["event"], module: "full",
+    parse: (v) => parseTemplate(v),
+    desc: {
+      "zh-Hant": "(可選) 網路變更通知版面，full=完整，compact=精簡，或自訂範本（第一行為標題），預設 full",
+      "zh-Hans": "(可选) 网络变更通知版面，full=完整，compact=精简，或自定义模板（第一行为标题），默认 full"
+    }
+  },
+  {
+    name: "mask_ip", key: "maskIP", type: "bool", default: false, triggers: ALL_TRIGGERS, module: "0",
+    desc: { "zh-Hant": "(可選) IP 打碼，1=開啟（123.*.*.89），0=關閉，預設 0", "zh-Hans": "(可选) IP 打码，1=开启（123.*.*.89），0=关闭，默认 0" }
+  },
+  {
+    name: "privacy", key: "privacy", type: "enum", values: ["off", "ip", "city", "strict"], default: "off", triggers: ALL_TRIGGERS, module: "off",
+    desc: {
+      "zh-Hant": "(可選) 隱私等級（面板、通知、日誌與紀錄），off=關閉，ip=IP 打碼，city=再隱藏城市，strict=再隱藏策略與 SSID 並只儲存 IP 雜湊，預設 off",
+      "zh-Hans": "(可选) 隐私等级（面板、通知、日志与记录），off=关闭，ip=IP 打码，city=再隐藏城市，strict=再隐藏策略与 SSID 并只存储 IP 哈希，默认 off"
+    }
+  },
+  {
+    name: "hash_ip", key: "hashIP", type: "bool", default: false, triggers: ALL_TRIGGERS, module: "0",
+    desc: {
+      "zh-Hant": "(可選) 持久化儲存只保留 IP 雜湊（網路變更仍可比對），1=開啟，0=關閉，預設 0",
+      "zh-Hans": "(可选) 持久化存储只保留 IP 哈希（网络变更仍可比对），1=开启，0=关闭，默认 0"
+    }
+  },
+  {
+    name: "event_delay", key: "eventDelay", type: "number", min: 0, default: 2, triggers: ["event"], module: "2",
+    desc: {
+      "zh-Hant": "(可選) 網路變更後延遲檢測時間（秒），期間內的連續切換合併為一次，預設 2 秒",
+      "zh-Hans": "(可选) 网络变更后延迟检测时间（秒），期间内的连续切换合并为一次，默认 2 秒"
+    }
+  },
+  {
+    name: "cooldown", key: "cooldown", type: "number", min: 0, default: 60, triggers: ["event"], module: "60",
+    desc: {
+      "zh-Hant": "(可選) 網路變更通知冷卻時間（秒），未滿時僅記錄不通知，0=不冷卻，預設 60",
+      "zh-Hans": "(可选) 网络变更通知冷却时间（秒），未满时仅记录不通知，0=不冷却，默认 60"
+    }
+  },
+  {
+    name: "unlock", key: "unlock", type: "custom", triggers: ["panel", "report"], module: "chatgpt|claude|netflix|youtube|disney|tiktok",
+    parse: (v) => splitList(v).map(i => i.toLowerCase()),
+    desc: {
+      "zh-Hant": "(可選) 面板檢測解鎖的服務，以 | 分隔（chatgpt、claude、netflix、youtube、disney、tiktok），留空不檢測",
+      "zh-Hans": "(可选) 面板检测解锁的服务，以 | 分隔（chatgpt、claude、netflix、youtube、disney、tiktok），留空不检测"
+    }
+  },
+  {
+    name: "rules", key: "rules", type: "text", default: "", triggers: ["panel", "event", "report", "autoselect"], module: "null",
+    desc: {
+      "zh-Hant": "(可選) 出口規則，以 ; 分隔，如 LLM:country=US|TW;PayPal:risk<40，違反時送出警示",
+      "zh-Hans": "(可选) 出口规则，以 ; 分隔，如 LLM:country=US|TW;PayPal:risk<40，违反时发送警示"
+    }
+  },
+  {
+    name: "alert_only", key: "alertOnly", type: "bool", default: false, triggers: ["event"], module: "0",
+    desc: { "zh-Hant": "(可選) 網路變更僅在違反規則時通知，1=開啟，0=關閉，預設 0", "zh-Hans": "(可选) 网络变更仅在违反规则时通知，1=开启，0=关闭，默认 0" }
+  },
+  {
+    name: "audit_groups", key: "auditGroups", type: "list", default: [], triggers: ["audit"], module: "AUTO|Proxy|LLM|PayPal",
+    desc: { "zh-Hant": "(可選) 節點審計的策略組，以 | 分隔，留空審計全部策略組", "zh-Hans": "(可选) 节点审计的策略组，以 | 分隔，留空审计全部策略组" }
+  },
+  {
+    name: "select_group", key: "selectGroups", type: "list", default: [], triggers: ["autoselect"], module: "null",
+    desc: {
+      "zh-Hant": "(可選) 每 30 分鐘自動選擇節點的 select 策略組，以 | 分隔（如 Proxy|LLM），依風控值與 IP 類型切換至最佳節點，留空不啟用",
+      "zh-Hans": "(可选) 每 30 分钟自动选择节点的 select 策略组，以 | 分隔（如 Proxy|LLM），依风控值与 IP 类型切换至最佳节点，留空不启用"
+    }
+  },
+  {
+    name: "hysteresis", key: "hysteresis", type: "number", min: 0, default: 10, triggers: ["autoselect"], module: "10",
+    desc: {
+      "zh-Hant": "(可選) 自動選擇的切換門檻，新節點分數須低於目前節點此值以上才切換，預設 10",
+      "zh-Hans": "(可选) 自动选择的切换门槛，新节点分数须低于当前节点此值以上才切换，默认 10"
+    }
+  },
+  {
+    name: "digest_hour", key: "digestHour", type: "number", integer: true, min: 0, max: 23, default: null, triggers: ["digest"], module: "null",
+    desc: {
+      "zh-Hant": "(可選) 每小時記錄出口 IP、策略、風控值與 IP 類型，每天此時（0–23）後送出前 24 小時的健康日報，留空不啟用",
+      "zh-Hans": "(可选) 每小时记录出口 IP、策略、风控值与 IP 类型，每天此时（0–23）后发送前 24 小时的健康日报，留空不启用"
+    }
+  },
+  {
+    name: "TYPE", type: "enum", values: ["EVENT", "PANEL"], default: "", triggers: [],
+    desc: { "zh-Hant": "觸發方式，EVENT=網路變更，PANEL=面板（自動判斷）", "zh-Hans": "触发方式，EVENT=网络变更，PANEL=面板（自动判断）" }
+  },
+  {
+    name: "mode", key: "mode", type: "enum", values: ["check", "audit", "autoselect", "digest"], default: "check", triggers: [],
+    desc: { "zh-Hant": "執行模式，check、audit、autoselect 或 digest", "zh-Hans": "执行模式，check、audit、autoselect 或 digest" }
+  },
+  {
+    name: "format", key: "format", type: "enum", values: ["html", "json"], default: "html", triggers: ["report"],
+    desc: { "zh-Hant": "報告格式，html 或 json", "zh-Hans": "报告格式，html 或 json" }
+  },
+  {
+    name: "risk_local_url", key: "riskLocalURL", type: "text", default: "", triggers: ALL_TRIGGERS,
+    desc: { "zh-Hant": "自訂風險評分來源，{ip} 會替換為查詢 IP", "zh-Hans": "自定义风险评分来源，{ip} 会替换为查询 IP" }
+  },
+  {
+    name: "risk_providers", key: "riskProviders", type: "list", default: [], triggers: ALL_TRIGGERS,
+    desc: { "zh-Hant": "啟用的風險評分來源，留空啟用全部", "zh-Hans": "启用的风险评分来源，留空启用全部" }
+  },
+  {
+    name: "risk_weights", key: "riskWeights", type: "custom", triggers: ALL_TRIGGERS,
+    parse: (v) => Object.fromEntries(splitList(v).map(i => {
+      const [name, weight] = i.split(":");
+      return [name, parseFloat(weight)];
+    }).filter(([, weight]) => weight > 0)),
+    desc: { "zh-Hant": "加權平均的權重，如 IPQS:2|ProxyCheck:1", "zh-Hans": "加权平均的权重，如 IPQS:2|ProxyCheck:1" }
+  },
+  {
+    name: "risk_ttl", key: "riskTTL", type: "custom", triggers: ALL_TRIGGERS,
+    parse: (v) => Object.fromEntries(splitList(v).map(i => {
+      const [name, ttl] = i.split(":");
+      return [name, parseFloat(ttl)];
+    }).filter(([, ttl]) => ttl >= 0)),
+    desc: { "zh-Hant": "各來源快取有效秒數，如 IPQS:86400", "zh-Hans": "各来源缓存有效秒数，如 IPQS:86400" }
+  },
+  {
+    name: "asn_types", key: "asnTypes", type: "custom", triggers: ALL_TRIGGERS,
+    parse: (v) => Object.fromEntries(splitList(v).map(i => i.split(":").map(s => s.trim().toLowerCase()))
+      .filter(([asn, type]) => /^\d+$/.test(asn.replace(/^as/, "")) && type).map(([asn, type]) => [asn.replace(/^as/, ""), type])),
+    desc: { "zh-Hant": "自訂 ASN 類型對照，如 AS906:hosting", "zh-Hans": "自定义 ASN 类型对照，如 AS906:hosting" }
+  },
+  {
+    name: "dnsbl_doh", key: "dnsblDoH", type: "custom", triggers: ["panel", "event", "report"],
+    parse: (v) => decodeURLArgument("dnsbl_doh", v, CONFIG.urls.doh),
+    desc: { "zh-Hant": "DNSBL 查詢使用的 DoH JSON 端點", "zh-Hans": "DNSBL 查询使用的 DoH JSON 端点" }
+  },
+  {
+    name: "dns_leak_url", key: "dnsLeakURL", type: "custom", triggers: ["panel", "event", "report"],
+    parse: (v) => decodeURLArgument("dns_leak_url", v, CONFIG.urls.dnsLeak).replace(/\/+$/, ""),
+    desc: { "zh-Hant": "DNS 洩漏測試服務網址", "zh-Hans": "DNS 泄漏测试服务网址" }
+  }
+];
+
+/**
+ * 以逗號或 | 分隔的清單，空值與 "null" 為空陣列
+ */
+function splitList(value) {
+  return (value && value !== "null") ? String(value).split(/[,|]/).map(i => i.trim()).filter(Boolean) : [];
+}
+
+/**
+ * 解碼網址參數；留空或含無效的 % 編碼時改用預設網址，避免在呼叫 $done 前拋出例外
+ */
+function decodeURLArgument(name, value, fallback) {
+  if (!value) return fallback;
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    console.log("參數 " + name + "=" + value + " 無效，改用預設值 " + JSON.stringify(fallback));
+    return fallback;
+  }
+}
+
+/**
+ * 依參數清單轉換型別；值無效時記錄並改用預設值
+ */
+function coerceArgument(param, raw) {
+  const empty = raw === undefined || raw === null || raw === "" || raw === "null";
+  if (param.type === "custom") return param.parse(empty ? "" : String(raw));
+  if (empty) return param.default;
+
+  const value = String(raw);
+  if (param.type === "bool") {
+    if (/^(1|true)$/i.test(value)) return true;
+    if (/^(0|false)$/i.test(value)) return false;
+  } else if (param.type === "number") {
+    const n = Number(value);
+    if (value.trim() && Number.isFinite(n) && (!param.integer || Number.isInteger(n))
+      && !(n < param.min) && !(n > param.max)) return n;
+  } else if (param.type === "enum") {
+    if (param.values.includes(value)) return value;
+  } else if (param.type === "list") {
+    return splitList(value);
+  } else if (param.type === "text") {
+    try { return decodeURIComponent(value); } catch (e) { return value; }
+  } else {
+    return value;
+  }
+  console.log("參數 " + param.name + "=" + value + " 無效，改用預設值 " + JSON.stringify(param.default));
+  return param.default;
+}
+
+// 隱私相關參數只能由模組參數設定，不接受報告網址覆寫
+const PRIVACY_PARAMS = ["privacy", "hash_ip", "mask_ip"];
+
+function parseArguments() {
+  let arg = ENV.argument();
+
+  const storedArg = ENV.read(CONFIG.name);
   if (storedArg) {
     try { arg = { ...arg, ...JSON.parse(storedArg) }; } catch (e) {}
   }
 
-  const isPanel = typeof $input !== "undefined" && $input.purpose === "panel";
-  const isRequest = typeof $request !== "undefined";
-  if (!isPanel && !isRequest) {
+  // 報告網址的查詢參數優先（如 ?format=json&force_refresh=1），隱私相關參數除外，避免任何請求降低隱私等級
+  if (ENV.isRequest) {
+    const query = Object.entries(ENV.requestQuery()).filter(([name]) => !PRIVACY_PARAMS.includes(name));
+    arg = { ...arg, ...Object.fromEntries(query) };
+  }
+
+  if (arg.TYPE !== "PANEL" && !ENV.isPanel() && !ENV.isRequest) {
     arg.TYPE = "EVENT";
   }
 
-  return {
+  const unknown = Object.keys(arg).filter(name => !PARAMS.some(p => p.name === name));
+  if (unknown.length) console.log("未知參數（已略過）: " + unknown.join(", "));
+
+  const parsed = {
     isEvent: arg.TYPE === "EVENT",
-    ipqsKey: (arg.ipqs_key && arg.ipqs_key !== "null") ? arg.ipqs_key : "",
-    lang: (arg.lang && arg.lang !== "null") ? arg.lang : "en",
-    maskIP: arg.mask_ip === "1" || arg.mask_ip === "true",
-    eventDelay: parseFloat(arg.event_delay) || 2
+    isRequest: ENV.isRequest,
+    ...Object.fromEntries(PARAMS.filter(p => p.key).map(p => [p.key, coerceArgument(p, arg[p.name])]))
   };
+  // mask_ip=1 等同 privacy=ip；之後以 maskIP 表示「IP 需打碼」（privacy 不為 off）
+  if (parsed.maskIP && parsed.privacy === "off") parsed.privacy = "ip";
+  parsed.maskIP = parsed.privacy !== "off";
+  if (parsed.privacy === "strict") parsed.hashIP = true;
+  return parsed;
 }
 
 const args = parseArguments();
-console.log("觸發類型: " + (args.isEvent ? "EVENT" : "MANUAL") + ", 語言: " + args.lang);
+installLogRedaction();
+console.log("執行環境: " + ENV.app + ", 觸發類型: " + (args.isEvent ? "EVENT" : "MANUAL") + ", 模式: " + args.mode + ", 語言: " + args.lang + ", 介面語言: " + args.uiLang);
 
 // ==================== 全域狀態控制 ====================
 let finished = false;
 
+// 本次執行的唯一標記（附加於出口探測網址），避免並行執行或其他 App 的請求造成策略誤判
+const RUN_MARKER = "isc" + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
 function done(o) {
   if (finished) return;
   finished = true;
-  $done(o);
+  // 報告模式下的錯誤（逾時、IP 取得失敗）改以錯誤頁回應
+  if (args.isRequest && o?.title) return respondReportError(o);
+  ENV.finish(o);
 }
 
 setTimeout(() => {
-  done({ title: "檢測逾時", content: "API 請求逾時", icon: "leaf", "icon-color": "#9E9E9E" });
-}, CONFIG.timeout);
+  done({ title: t("timeoutTitle"), content: t("timeoutContent"), icon: "leaf", "icon-color": "#9E9E9E" });
+}, { check: CONFIG.timeout, autoselect: CONFIG.autoselect.timeout, digest: CONFIG.digest.timeout }[args.mode] || CONFIG.audit.timeout);
 
 // ==================== HTTP 工具 ====================
+/**
+ * GET 並解析 JSON，失敗回傳 null
+ * @param {string|Object} url 網址，或含 url／headers 的請求選項
+ */
 function httpJSON(url, policy) {
-  return new Promise(r => {
-    $httpClient.get(policy ? { url, policy } : { url }, (_, __, d) => {
-      try { r(JSON.parse(d)); } catch { r(null); }
-    });
+  return httpResponse(url, policy).then(resp => {
+    try { return JSON.parse(resp.body); } catch { return null; }
   });
 }
 
-function httpRaw(url) {
-  return new Promise(r => {
-    $httpClient.get({ url }, (_, __, d) => r(d || null));
-  });
+/**
+ * GET 並回傳完整回應 { status, headers, body }，失敗回傳 null
+ * @param {string|Object} url 網址，或含 url／headers／auto-redirect 的請求選項
+ */
+function httpResponse(url, policy) {
+  const opts = typeof url === "string" ? { url } : { ...url };
+  if (policy) opts.policy = policy;
+  return ENV.http(opts);
+}
+
+function httpRaw(url, policy) {
+  return httpResponse(url, policy).then(resp => resp?.body || null);
 }
 
 function wait(ms) {
   return new Promise(r => setTimeout(r, ms));
 }
 
-function surgeAPI(method, path) {
-  return new Promise(r => {
-    $httpAPI(method, path, null, res => r(res));
-  });
+/**
+ * 為請求加上逾時，逾時回傳 null
+ */
+function withTimeout(promise, ms) {
+  return Promise.race([promise, wait(ms).then(() => null)]);
+}
+
+/**
+ * 以固定並行數依序處理清單，結果順序與輸入一致
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function surgeAPI(method, path, body) {
+  return ENV.api(method, path, body);
 }
 
 // ==================== 資料處理工具 ====================
@@ -155,11 +1460,31 @@ function flag(cc) {
 }
 
 /**
- * 根據風險分數回傳對應的描述與顏色
+ * 根據風險分數回傳對應的描述與顏色（無分數時回傳灰色「無法評分」）
  */
 function riskText(score) {
+  if (score === null || score === undefined) return { label: t("noScore"), color: "#9E9E9E" };
   const level = CONFIG.riskLevels.find(l => score <= l.max) || CONFIG.riskLevels.at(-1);
-  return { label: level.label, color: level.color };
+  return { label: t("risk." + level.key), color: level.color };
+}
+
+/**
+ * 取較高（較差）的風險分數，忽略無分數者；皆無分數時回傳 null
+ */
+function worseScore(...scores) {
+  const valid = scores.filter(Number.isFinite);
+  return valid.length ? Math.max(...valid) : null;
+}
+
+/**
+ * 將時間戳格式化為相對時間：剛剛、12 分鐘前、3 小時前、2 天前
+ */
+function formatAge(ts) {
+  const min = Math.floor((Date.now() - ts) / 60000);
+  if (min < 1) return t("age.justNow");
+  if (min < 60) return t("age.minutes", { n: min });
+  if (min < 1440) return t("age.hours", { n: Math.floor(min / 60) });
+  return t("age.days", { n: Math.floor(min / 1440) });
 }
 
 /**
@@ -181,6 +1506,96 @@ function maskIP(ip) {
   return parts[0] + ".*.*." + parts[3];
 }
 
+// ==================== 隱私等級 ====================
+const PRIVACY_LEVELS = ["off", "ip", "city", "strict"];
+
+/**
+ * 目前的隱私等級是否不低於 level（off < ip < city < strict）
+ */
+function privacyAtLeast(level) {
+  return PRIVACY_LEVELS.indexOf(args.privacy) >= PRIVACY_LEVELS.indexOf(level);
+}
+
+/**
+ * IP 雜湊（FNV-1a 32 位元）：持久化儲存只需比對是否相同，不需保留原始 IP
+ * 1.2.3.4 → #74445065
+ */
+function hashIP(ip) {
+  if (!ip) return ip;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < ip.length; i++) {
+    hash = Math.imul(hash ^ ip.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return "#" + hash.toString(16).padStart(8, "0");
+}
+
+/**
+ * 持久化儲存中用來比對的 IP（上次網路變更、風險快取、DNSBL、規則警示）：hash_ip 時為雜湊
+ */
+function ipKey(ip) {
+  return args.hashIP ? hashIP(ip) : ip;
+}
+
+/**
+ * 持久化儲存中供顯示的 IP（變更紀錄、日報）：hash_ip 時為雜湊，打碼時為打碼後的 IP
+ */
+function storedIP(ip) {
+  if (args.hashIP) return hashIP(ip);
+  return args.maskIP ? maskIP(ip) : ip;
+}
+
+/**
+ * 網段打碼：203.0.113.0/24 → 203.*.*.0/24
+ */
+function maskPrefix(prefix) {
+  if (!prefix || !args.maskIP) return prefix;
+  const [ip, length] = prefix.split("/");
+  return maskIP(ip) + (length ? "/" + length : "");
+}
+
+/**
+ * privacy=city 以上只保留國家與電信商，城市與省／州清空（地理來源比對完成後才套用）
+ */
+function privacyGeo(info) {
+  if (!info || !privacyAtLeast("city")) return info;
+  return { ...info, city: "", region: "" };
+}
+
+/**
+ * 將文字中的 IPv4／IPv6 位址打碼
+ * IPv6 須含 :: 或至少 3 個冒號（含 fe80::1 等縮寫），避免誤判 04:00:00 等時間
+ */
+function redactIPs(text) {
+  return String(text)
+    .replace(/\b\d{1,3}(?:\.\d{1,3}){3}\b/g, ip => maskIP(ip))
+    .replace(/(^|[^\w:.])([0-9a-f]{0,4}(?::[0-9a-f]{0,4}){2,7})(?![\w:])/gi, (match, before, ip) =>
+      ip.includes("::") || ip.split(":").length >= 4 ? before + maskIP(ip) : match);
+}
+
+/**
+ * 顯示用的 Wi-Fi SSID：privacy=strict 時隱藏
+ */
+function privacySSID(ssid) {
+  return ssid && privacyAtLeast("strict") ? t("privacy.hidden") : ssid;
+}
+
+/**
+ * 顯示用的出口規則：privacy=strict 時隱藏規則中的策略名稱（* 除外）
+ */
+function privacyRule(rule) {
+  if (!privacyAtLeast("strict") || rule.target === "*") return rule.raw;
+  return t("privacy.hidden") + rule.raw.slice(rule.raw.indexOf(":"));
+}
+
+/**
+ * 隱私等級不為 off 時，所有日誌中的 IP 一律打碼（策略名稱等其他欄位由各處自行處理）
+ */
+function installLogRedaction() {
+  if (!args.maskIP) return;
+  const log = console.log;
+  console.log = (...items) => log(redactIPs(items.join(" ")));
+}
+
 /**
  * 格式化地理位置文字：🇺🇸 + 自訂部分
  * 面板用法：formatGeo(country_code, city, region, country_code) → 🇺🇸 City, Region, US
@@ -238,6 +1653,17 @@ function normalizeBilibili(data) {
   };
 }
 
+/**
+ * 以 bilibili 中文地名為主，補上其他來源的國家代碼與電信商
+ * 電信商僅中國使用 bilibili，非中國依序取 fallbacks；bilibili 無資料時直接使用第一個可用來源
+ */
+function mergeBilibili(bili, fallbacks) {
+  if (!bili) return fallbacks.find(Boolean) || null;
+  const pick = (field) => fallbacks.find(f => f?.[field])?.[field] || "";
+  const isChina = bili.country_name === "中國";
+  return { ...bili, country_code: pick("country_code"), org: isChina ? bili.org : pick("org") };
+}
+
 /**
  * 從 Scamalytics HTML 中解析風險分數
  */
@@ -246,145 +1672,786 @@ function parseScamalyticsScore(html) {
   return m ? Number(m[1]) : null;
 }
 
-// ==================== 代理策略取得 ====================
+// ==================== 地理資訊比對 ====================
 /**
- * 從 Surge 最近請求中尋找符合的代理策略
+ * 將 bilibili 中文地名轉為國家代碼；港澳台回傳為「中國」＋省份，需以省份判斷
  */
-async function findPolicyInRecent(pattern, limit) {
-  const res = await surgeAPI("GET", "/v1/requests/recent");
-  const hit = res?.requests?.slice(0, limit).find(i => pattern.test(i.URL));
-  return hit?.policyName || null;
+function zhCountryCode(country, province) {
+  const codes = CONFIG.zhCountryCodes;
+  if (codes[country] === "CN" && codes[province] && codes[province] !== "CN") return codes[province];
+  return codes[country] || "";
 }
 
 /**
- * 取得實際使用的代理策略（含重試與回落）
+ * 判斷兩個電信商名稱是否相同（忽略大小寫、標點、公司後綴與字尾 s）
+ * 較短的名稱須為較長名稱的完整開頭才視為相同：DMIT ↔ DMIT Cloud Services 相同，China Telecom ↔ China Mobile 不同
  */
-async function getPolicy() {
-  // 第一次搜尋
-  let policy = await findPolicyInRecent(/(api(-ipv4)?\.ip\.sb|ipinfo\.io)/i, 10);
-  if (policy) {
-    console.log("找到代理策略: " + policy);
-    $persistentStore.write(policy, CONFIG.storeKeys.lastPolicy);
-    return policy;
-  }
+function sameISP(a, b) {
+  const norm = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, " ")
+    .replace(/\b(inc|llc|ltd|limited|co|corp|corporation|company|gmbh|plc|pte|bv|sa|ag|the)\b/g, "")
+    .trim().split(/\s+/).filter(Boolean).map(w => w.length > 3 ? w.replace(/s$/, "") : w);
+  const [x, y] = [norm(a), norm(b)];
+  const [shorter, longer] = x.length <= y.length ? [x, y] : [y, x];
+  return shorter.length > 0 && shorter.every((word, i) => word === longer[i]);
+}
 
-  // fetchIPs 階段已送出 outboundIP 請求，等待後再重試
-  console.log("未找到策略紀錄，等待後重試");
-  await wait(CONFIG.policyRetryDelay);
+/**
+ * 比對各來源的國家與電信商，產生共識國家與可信度
+ * - high：所有來源國家與電信商一致 | medium：國家一致但電信商不同，或僅一個來源 | low：國家不一致
+ * - 電信商僅比對英文名稱（bilibili 中文名稱略過）
+ * @param {Object<string, Object|null>} sources 各來源正規化後的地理資訊（依優先順序）
+ * @returns {{country_code: string, agree: number, total: number, confidence: string, mismatches: {field: string, values: Object<string, string>}[]}}
+ */
+function reconcileGeo(sources) {
+  const entries = Object.entries(sources || {}).filter(([, info]) => info);
+  const countries = entries
+    .map(([name, info]) => [name, info.country_code || zhCountryCode(info.country_name, info.region)])
+    .filter(([, cc]) => cc);
+  const counts = {};
+  countries.forEach(([, cc]) => { counts[cc] = (counts[cc] || 0) + 1; });
+  // 票數相同時以來源順序在前者為準
+  const consensus = countries.map(([, cc]) => cc).sort((a, b) => counts[b] - counts[a])[0] || "";
+
+  const isps = entries.filter(([, info]) => /^[\x20-\x7E]+$/.test(info.org || "")).map(([name, info]) => [name, info.org]);
+  const mismatches = [];
+  if (Object.keys(counts).length > 1) mismatches.push({ field: "country", values: Object.fromEntries(countries) });
+  if (isps.some(([, org]) => !sameISP(org, isps[0][1]))) mismatches.push({ field: "isp", values: Object.fromEntries(isps) });
+
+  const confidence = mismatches.some(m => m.field === "country") ? "low"
+    : (mismatches.length || countries.length < 2) ? "medium"
+    : "high";
+  return { country_code: consensus, agree: counts[consensus] || 0, total: countries.length, confidence, mismatches };
+}
 
-  policy = await findPolicyInRecent(/(api(-ipv4)?\.ip\.sb|ipinfo\.io)/i, 5);
-  if (policy) {
-    console.log("重試後找到策略: " + policy);
-    $persistentStore.write(policy, CONFIG.storeKeys.lastPolicy);
-    return policy;
-  }
+/**
+ * 建構地理分歧說明行：⚠ 國家不一致：ipinfo US · ipsb HK
+ */
+function formatMismatches(geo, mark = "") {
+  return (geo?.mismatches || []).map(m => "⚠ " + labeled("geo." + m.field,
+    Object.entries(m.values).map(([name, value]) => name + " " + value).join(" · "), mark));
+}
 
-  // 回落到上次儲存的策略
-  const lastPolicy = $persistentStore.read(CONFIG.storeKeys.lastPolicy);
-  if (lastPolicy) {
-    console.log("使用上次儲存的策略: " + lastPolicy);
-    return lastPolicy;
-  }
+// ==================== 代理策略取得 ====================
+/**
+ * 為出口探測網址加上本次執行的標記，供在最近請求中精確比對
+ */
+function markProbe(url) {
+  return url + (url.includes("?") ? "&" : "?") + "_probe=" + RUN_MARKER;
+}
 
-  console.log("無法找到任何策略資訊");
-  return "Unknown";
+/**
+ * 解析請求紀錄的策略決策路徑
+ * notes 中的「Policy decision path: LLM -> US Nodes -> US 01」依序為規則指定的策略、子策略組與最終節點，
+ * 無此紀錄時以 originalPolicyName → policyName 代替
+ */
+function parseDecisionPath(entry) {
+  const note = (entry.notes || []).map(String).find(n => /decision path:/i.test(n));
+  const path = note
+    ? note.replace(/^.*decision path:\s*/i, "").split(/\s*->\s*/)
+    : [entry.originalPolicyName, entry.policyName];
+  return [...new Set(path.map(p => (p || "").trim()).filter(Boolean))];
 }
 
-// ==================== 風險評分取得（三級回落） ====================
 /**
- * 取得 IP 風險分數
- * 優先順序：IPQualityScore → ProxyCheck → Scamalytics
+ * 從 Surge 最近請求中找出本次執行的出口探測請求（以 RUN_MARKER 比對）
  */
-async function getRiskScore(ip) {
-  // 0. 檢查快取：IP 未變則直接回傳
-  const cached = $persistentStore.read(CONFIG.storeKeys.riskCache);
-  if (cached) {
-    try {
-      const c = JSON.parse(cached);
-      if (c.ip === ip) {
-        console.log("風險評分命中快取: " + c.score + "% (" + c.source + ")");
-        return { score: c.score, source: c.source };
-      }
-    } catch (e) {}
-  }
+async function findProbeInRecent() {
+  const res = await surgeAPI("GET", "/v1/requests/recent");
+  const marked = res?.requests?.filter(i => (i.URL || "").includes(RUN_MARKER)) || [];
+  // 出口 IP 以 IPv4 為準，優先採用 IPv4 探測
+  return marked.find(i => i.URL.includes(CONFIG.urls.outboundIP)) || marked[0] || null;
+}
 
-  function saveAndReturn(score, source) {
-    $persistentStore.write(JSON.stringify({ ip, score, source }), CONFIG.storeKeys.riskCache);
-    console.log("風險評分已快取: " + score + "% (" + source + ")");
-    return { score, source };
-  }
+/**
+ * 取得出口探測實際經過的代理策略與決策路徑（含重試）
+ * 找不到本次探測或 App 不支援查詢時標示為未確認，名稱沿用上次紀錄但不再視為目前策略
+ * @returns {Promise<{name: string, rule: string, path: string[], node: string, certain: boolean}>}
+ */
+async function getPolicy() {
+  const uncertain = (reason) => {
+    const lastPolicy = ENV.read(CONFIG.storeKeys.lastPolicy);
+    console.log(reason + "，代理策略未確認，上次紀錄: " + (lastPolicy ? logPolicy(lastPolicy) : "無"));
+    return { name: lastPolicy || "Unknown", rule: "", path: [], node: "", certain: false };
+  };
+  if (!ENV.supports.api) return uncertain(ENV.app + " 不支援查詢最近請求");
+
+  let hit = await findProbeInRecent();
+  if (!hit) {
+    // fetchIPs 階段已送出探測請求，紀錄可能尚未寫入，等待後再重試
+    console.log("未找到探測請求紀錄，等待後重試");
+    await wait(CONFIG.policyRetryDelay);
+    hit = await findProbeInRecent();
+  }
+  if (!hit?.policyName) return uncertain("最近請求中找不到本次探測");
+
+  const path = parseDecisionPath(hit);
+  const route = { name: hit.policyName, rule: hit.rule || "", path, node: path.at(-1) || hit.policyName, certain: true };
+  console.log("找到代理策略: " + logPolicy(route.name) + "，決策路徑: " + logPolicy(formatRoute(route)));
+  ENV.write(route.name, CONFIG.storeKeys.lastPolicy);
+  return route;
+}
+
+/**
+ * 日誌中的策略名稱：privacy=strict 時隱藏
+ */
+function logPolicy(name) {
+  return privacyAtLeast("strict") ? "***" : name;
+}
+
+/**
+ * 顯示用的策略名稱：未確認時加註，privacy=strict 時隱藏
+ */
+function policyLabel(route) {
+  if (privacyAtLeast("strict")) return t("privacy.hidden");
+  return route.certain ? route.name : t("policy.uncertain", { policy: route.name });
+}
 
-  // 1. IPQualityScore（需要 API Key）
-  if (args.ipqsKey) {
-    const data = await httpJSON(CONFIG.urls.ipqs(args.ipqsKey, ip));
-    if (data?.success && data?.fraud_score !== undefined) {
-      return saveAndReturn(data.fraud_score, "IPQS");
+/**
+ * 決策路徑：FINAL → Proxy → HK → HK 01（privacy=strict 時隱藏，規則內容可能含網域）
+ */
+function formatRoute(route) {
+  if (privacyAtLeast("strict")) return t("privacy.hidden");
+  return [route.rule, ...route.path].filter(Boolean).join(" → ");
+}
+
+// ==================== 風險評分來源 ====================
+/**
+ * 風險評分來源註冊表
+ * - name：來源名稱（risk_providers／risk_weights 以此指定）
+ * - weight：加權平均的預設權重
+ * - ttl：快取有效秒數（免費額度有限的來源設長一些）
+ * - ipv6：是否支援查詢 IPv6 位址
+ * - enabled()：是否具備啟用條件（如 API Key）
+ * - fetch(ip, policy)：回傳 0–100 的風險分數，失敗回傳 null
+ */
+const RISK_PROVIDERS = [
+  {
+    name: "IPQS",
+    ttl: 86400,
+    weight: 2,
+    ipv6: true,
+    enabled: () => !!args.ipqsKey,
+    async fetch(ip, policy) {
+      const data = await httpJSON(CONFIG.urls.ipqs(args.ipqsKey, ip), policy);
+      if (data?.success && data?.fraud_score !== undefined) return data.fraud_score;
+      console.log("IPQS 失敗: " + (data ? "success=" + data.success + " message=" + (data.message || "") : "請求失敗"));
+      return null;
+    }
+  },
+  {
+    name: "ProxyCheck",
+    ttl: 21600,
+    weight: 1,
+    ipv6: true,
+    enabled: () => true,
+    async fetch(ip, policy) {
+      const data = await proxyCheckLookup(ip, policy);
+      if (data?.[ip]?.risk !== undefined) return Number(data[ip].risk);
+      console.log("ProxyCheck 失敗: " + (data ? JSON.stringify(data).slice(0, 100) : "請求失敗"));
+      return null;
+    }
+  },
+  {
+    name: "Scamalytics",
+    ttl: 21600,
+    weight: 1,
+    ipv6: false,
+    enabled: () => true,
+    async fetch(ip, policy) {
+      const html = await httpRaw(CONFIG.urls.scamalytics(ip), policy);
+      const score = parseScamalyticsScore(html);
+      if (score === null) console.log("Scamalytics 失敗: " + (html ? "解析失敗" : "請求失敗"));
+      return score;
+    }
+  },
+  {
+    name: "AbuseIPDB",
+    ttl: 43200,
+    weight: 1,
+    ipv6: true,
+    enabled: () => !!args.abuseIPDBKey,
+    async fetch(ip, policy) {
+      const data = await httpJSON({
+        url: CONFIG.urls.abuseIPDB(ip),
+        headers: { Key: args.abuseIPDBKey, Accept: "application/json" }
+      }, policy);
+      const score = data?.data?.abuseConfidenceScore;
+      if (score !== undefined) return Number(score);
+      console.log("AbuseIPDB 失敗: " + (data ? JSON.stringify(data.errors || data).slice(0, 100) : "請求失敗"));
+      return null;
+    }
+  },
+  {
+    name: "Local",
+    ttl: 3600,
+    weight: 1,
+    ipv6: true,
+    enabled: () => !!args.riskLocalURL,
+    async fetch(ip, policy) {
+      const data = await httpJSON(args.riskLocalURL.replace("{ip}", encodeURIComponent(ip)), policy);
+      const score = Number(data?.score);
+      if (data && Number.isFinite(score)) return Math.max(0, Math.min(100, score));
+      console.log("Local 失敗: " + (data ? "回傳格式錯誤" : "請求失敗"));
+      return null;
     }
-    console.log("IPQS 回落: " + (data ? "success=" + data.success + " message=" + (data.message || "") : "請求失敗"));
   }
+];
 
-  // 2&3. ProxyCheck + Scamalytics 並行請求
-  const [proxyData, scamHtml] = await Promise.all([
-    httpJSON(CONFIG.urls.proxyCheck(ip)),
-    httpRaw(CONFIG.urls.scamalytics(ip))
-  ]);
+/**
+ * ProxyCheck 查詢（同一次執行內共用，風險評分與 IPv6 類型判斷皆使用）
+ */
+const proxyCheckRequests = {};
+function proxyCheckLookup(ip, policy) {
+  const key = ip + "|" + (policy || "");
+  if (!proxyCheckRequests[key]) proxyCheckRequests[key] = httpJSON(CONFIG.urls.proxyCheck(ip), policy);
+  return proxyCheckRequests[key];
+}
+
+/**
+ * 依 risk_providers 篩選本次啟用的來源；查詢 IPv6 時排除不支援的來源
+ */
+function activeRiskProviders(ip) {
+  const isIPv6 = ip?.includes(":");
+  return RISK_PROVIDERS.filter(p => p.enabled()
+    && (!isIPv6 || p.ipv6)
+    && (!args.riskProviders.length || args.riskProviders.includes(p.name)));
+}
 
-  if (proxyData?.[ip]?.risk !== undefined) {
-    return saveAndReturn(proxyData[ip].risk, "ProxyCheck");
+/**
+ * 依合併策略計算最終分數
+ * @param {{name: string, score: number}[]} scored 有回傳分數的來源
+ */
+function combineScores(scored, strategy) {
+  const scores = scored.map(p => p.score);
+  if (strategy === "max") return Math.max(...scores);
+
+  if (strategy === "weighted") {
+    const weightOf = (name) => args.riskWeights[name] ?? RISK_PROVIDERS.find(p => p.name === name)?.weight ?? 1;
+    const total = scored.reduce((sum, p) => sum + weightOf(p.name), 0);
+    return Math.round(scored.reduce((sum, p) => sum + p.score * weightOf(p.name), 0) / total);
   }
-  console.log("ProxyCheck 失敗: " + (proxyData ? JSON.stringify(proxyData).slice(0, 100) : "請求失敗"));
 
-  const score = parseScamalyticsScore(scamHtml);
-  if (score !== null) {
-    return saveAndReturn(score, "Scamalytics");
+  const sorted = [...scores].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * 格式化各來源分數：IPQS 12 · ProxyCheck 0 · Scamalytics ✕（快取：12 分鐘前）
+ */
+function formatRiskProviders(riskInfo) {
+  const text = riskInfo.providers.map(p => p.name + " " + (p.score === null ? "✕" : p.score)).join(" · ");
+  return riskInfo.cachedAt ? text + t("cached", { age: formatAge(riskInfo.cachedAt) }) : text;
+}
+
+// ==================== 風險評分快取（LRU） ====================
+/**
+ * 讀取風險評分快取，依最近使用排序（新 → 舊）
+ * 格式：[{ ip, ts, providers: { IPQS: { score, ts }, ... } }]
+ */
+function readRiskCache() {
+  try {
+    const entries = JSON.parse(ENV.read(CONFIG.storeKeys.riskCache))?.entries;
+    return Array.isArray(entries) ? entries : [];
+  } catch (e) {
+    return [];
   }
-  console.log("Scamalytics 失敗: " + (scamHtml ? "解析失敗" : "請求失敗"));
+}
+
+/**
+ * 更新單一 IP 的快取並移到最前，超過上限時淘汰最久未使用者
+ * 寫入前重新讀取，避免並行查詢（IPv4／IPv6、審計節點）互相覆蓋
+ */
+function writeRiskCache(entry) {
+  const entries = readRiskCache();
+  const next = [entry, ...entries.filter(e => e.ip !== entry.ip)].slice(0, CONFIG.riskCache.size);
+  ENV.write(JSON.stringify({ entries: next }), CONFIG.storeKeys.riskCache);
+}
 
-  return saveAndReturn(50, "Default");
+/**
+ * 取得來源的快取有效時間（毫秒），risk_ttl 參數優先
+ */
+function riskCacheTTL(provider) {
+  return (args.riskTTL[provider.name] ?? provider.ttl) * 1000;
 }
 
-// ==================== IP 類型偵測（二級回落） ====================
+// ==================== 風險評分取得（多來源合併） ====================
+/**
+ * 取得 IP 風險分數：未過期的快取直接使用，其餘來源並行查詢，再依 risk_strategy 合併
+ * @param {string} [policy] 指定查詢所經的策略（審計模式逐節點查詢用）
+ * @returns {Promise<{score: number|null, source: string, providers: {name: string, score: number|null, ts: number}[], spread: number, disagree: boolean, cachedAt: number|null}>}
+ *   score 為 null 表示所有來源均無回應；cachedAt 為所用快取中最舊的時間戳
+ */
+async function getRiskScore(ip, policy) {
+  const now = Date.now();
+  const providers = activeRiskProviders(ip);
+  const entry = readRiskCache().find(e => e.ip === ipKey(ip)) || { ip: ipKey(ip), providers: {} };
+
+  // 1. 未過期的快取直接使用（force_refresh 時略過），其餘來源並行查詢
+  const results = await Promise.all(providers.map(async p => {
+    const cached = entry.providers[p.name];
+    if (!args.forceRefresh && cached && now - cached.ts < riskCacheTTL(p)) {
+      return { name: p.name, score: cached.score, ts: cached.ts, cached: true };
+    }
+    const score = await p.fetch(ip, policy).catch(() => null);
+    return { name: p.name, score: Number.isFinite(score) ? score : null, ts: now, cached: false };
+  }));
+
+  // 2. 成功的查詢寫回快取（失敗不快取，下次重試）
+  results.filter(p => !p.cached && p.score !== null)
+    .forEach(p => { entry.providers[p.name] = { score: p.score, ts: p.ts }; });
+  writeRiskCache({ ...entry, ts: now });
+
+  const cachedHits = results.filter(p => p.cached);
+  const cachedAt = cachedHits.length ? Math.min(...cachedHits.map(p => p.ts)) : null;
+  if (cachedHits.length) {
+    console.log("風險評分命中快取 " + ip + ": " + cachedHits.map(p => p.name).join(", "));
+  }
+
+  const scored = results.filter(p => p.score !== null);
+
+  if (!scored.length) {
+    console.log("所有風險評分來源均失敗: " + ip);
+    return { score: null, source: t("noResponse"), providers: results, spread: 0, disagree: false, cachedAt };
+  }
+
+  // 3. 合併分數並判斷來源是否分歧
+  const score = combineScores(scored, args.riskStrategy);
+  const spread = Math.max(...scored.map(p => p.score)) - Math.min(...scored.map(p => p.score));
+  const source = scored.length === 1
+    ? scored[0].name
+    : t("strategy." + args.riskStrategy) + " " + scored.length + "/" + results.length;
+  const info = { score, source, providers: results, spread, disagree: spread > CONFIG.riskDisagreement, cachedAt };
+
+  console.log("風險評分 " + ip + ": " + score + "% (" + source + ")" + (info.disagree ? " 來源分歧 " + spread : ""));
+  return info;
+}
+
+// ==================== ASN 與網段 ====================
+/**
+ * 判斷 ASN 類型：本機對照表（asn_types 參數、持久化儲存）→ 內建對照表 → 名稱推測
+ * @returns {string} isp／hosting／business／education，無法判斷回傳空字串
+ */
+function asnType(asn, name) {
+  let stored = {};
+  try { stored = JSON.parse(ENV.read(CONFIG.storeKeys.asnTypes) || "{}"); } catch (e) {}
+  const known = args.asnTypes[asn] || stored[asn] || CONFIG.asnTypes[asn];
+  if (known) return known;
+  if (/hosting|cloud|server|data ?cent(er|re)|vps|colo|idc/i.test(name || "")) return "hosting";
+  if (/universit|college|academ|school|research|education/i.test(name || "")) return "education";
+  if (/telecom|mobile|broadband|cable|wireless|cellular|fiber|fibre|internet service/i.test(name || "")) return "isp";
+  return "";
+}
+
+/**
+ * 取得 ASN、網段、ASN 類型與濫用聯絡國家
+ * - ASN／名稱：ip.sb → ipinfo.io（有 ipinfo_token 時另含 asn.route／asn.type／abuse.country）
+ * - 網段：ipinfo asn.route → RIPEstat network-info
+ * - 濫用聯絡國家：ipinfo abuse.country → RIPEstat 登記國家
+ * @param {Promise<Object|null>} sbQuery ip.sb 原始資料
+ * @param {Promise<Object|null>} ipInfoQuery ipinfo.io 原始資料（入口未查詢時為 null）
+ * @returns {Promise<{asn: number|null, name: string, prefix: string, type: string, abuseCountry: string}>}
+ */
+async function getNetworkInfo(ip, sbQuery, ipInfoQuery) {
+  const [sbRaw, ipInfoRaw, ripeNet, ripeCountry] = await Promise.all([
+    sbQuery,
+    ipInfoQuery,
+    withTimeout(httpJSON(CONFIG.urls.ripeNetworkInfo(ip)), CONFIG.networkTimeout),
+    withTimeout(httpJSON(CONFIG.urls.ripeCountry(ip)), CONFIG.networkTimeout)
+  ]);
+  const { asn, name } = extractASN(sbRaw, ipInfoRaw);
+  const paid = ipInfoRaw?.asn && typeof ipInfoRaw.asn === "object" ? ipInfoRaw.asn : {};
+  const info = {
+    asn: asn ?? (Number(String(paid.asn || "").replace(/^AS/i, "")) || Number(ripeNet?.data?.asns?.[0]) || null),
+    name: name || paid.name || "",
+    prefix: maskPrefix(paid.route || ripeNet?.data?.prefix || ""),
+    type: paid.type || asnType(asn, name),
+    abuseCountry: ipInfoRaw?.abuse?.country || ripeCountry?.data?.located_resources?.[0]?.location || ""
+  };
+  console.log("網路資訊 " + ip + ": AS" + info.asn + " " + (info.prefix || "-") + " " + (info.type || "-"));
+  return info;
+}
+
+/**
+ * 依 ASN 類型推測 IP 類型：電信業者 → 住宅、機房 → 機房，其餘無法判斷
+ */
+function ipTypeFromASN(network) {
+  const ipType = network?.type === "isp" ? "residential" : network?.type === "hosting" ? "datacenter" : "unknown";
+  return { ipType, ipSrc: "unknown" };
+}
+
+// ==================== IP 類型偵測（三級回落） ====================
 /**
  * 取得 IP 類型（住宅／機房、廣播／原生）
- * 優先順序：/v1/info JSON → /v1/card HTML 擷取
+ * 優先順序：/v1/info JSON → /v1/card HTML 擷取 → 出口 ASN 類型
+ * @param {Promise<Object>} networkQuery 出口的 getNetworkInfo() 結果，IPPure 皆失敗時使用
+ * @returns {Promise<{ipType: string, ipSrc: string}>} ipType 為 residential／datacenter，ipSrc 為 broadcast／native，失敗為 unknown
  */
-async function getIPType() {
+async function getIPType(networkQuery, policy) {
   // 1. 嘗試 /v1/info JSON 介面
-  const info = await httpJSON(CONFIG.urls.ipType);
+  const info = await httpJSON(CONFIG.urls.ipType, policy);
   if (info && info.isResidential !== undefined) {
     console.log("IPPure /v1/info 回傳 IP 類型資料");
     return {
-      ipType: info.isResidential ? "住宅 IP" : "機房 IP",
-      ipSrc: info.isBroadcast ? "廣播 IP" : "原生 IP"
+      ipType: info.isResidential ? "residential" : "datacenter",
+      ipSrc: info.isBroadcast ? "broadcast" : "native"
     };
   }
   console.log("IPPure /v1/info 未回傳 IP 類型，回落到 /v1/card");
 
   // 2. 回落到 /v1/card HTML 擷取
-  const html = await httpRaw(CONFIG.urls.ipTypeCard);
+  const html = await httpRaw(CONFIG.urls.ipTypeCard, policy);
   if (html) {
-    const ipType = /住宅|[Rr]esidential/.test(html) ? "住宅 IP" : "機房 IP";
-    const ipSrc = /廣播|[Bb]roadcast|[Aa]nnounced/.test(html) ? "廣播 IP" : "原生 IP";
+    const ipType = /住宅|[Rr]esidential/.test(html) ? "residential" : "datacenter";
+    const ipSrc = /廣播|[Bb]roadcast|[Aa]nnounced/.test(html) ? "broadcast" : "native";
     console.log("IPPure /v1/card 擷取結果: " + ipType + " | " + ipSrc);
     return { ipType, ipSrc };
   }
 
-  console.log("IPPure 所有介面均失敗");
-  return { ipType: "未知", ipSrc: "未知" };
+  console.log("IPPure 所有介面均失敗，改用 ASN 類型判斷");
+  return ipTypeFromASN(await networkQuery);
+}
+
+/**
+ * 取得 IPv6 出口的 IP 類型
+ * IPPure 僅回傳請求來源（通常為 IPv4）的類型，IPv6 改用 ProxyCheck 的 type 欄位判斷住宅／機房，廣播／原生無法判斷
+ * ProxyCheck 無回應時回落到 IPv6 出口的 ASN 類型
+ * @returns {Promise<{ipType: string, ipSrc: string}>}
+ */
+async function getIPv6Type(ip, networkQuery) {
+  const data = await proxyCheckLookup(ip);
+  const type = data?.[ip]?.type;
+  if (!type) {
+    console.log("ProxyCheck 未回傳 IPv6 類型，改用 ASN 類型判斷");
+    return ipTypeFromASN(await networkQuery);
+  }
+  console.log("ProxyCheck IPv6 類型: " + type);
+  return { ipType: /^(Residential|Wireless)$/i.test(type) ? "residential" : "datacenter", ipSrc: "unknown" };
+}
+
+// ==================== 服務解鎖檢測 ====================
+/**
+ * 取得不分大小寫的回應標頭
+ */
+function header(resp, name) {
+  const key = Object.keys(resp?.headers || {}).find(k => k.toLowerCase() === name);
+  return key ? resp.headers[key] : "";
+}
+
+/**
+ * 從 Cloudflare /cdn-cgi/trace 擷取地區代碼
+ */
+function parseTraceLoc(text) {
+  return text?.match(/^loc=([A-Z]{2})$/m)?.[1] || "";
+}
+
+/**
+ * 從網址路徑擷取地區代碼：/tw/title/…、/zh-tw/…、/en-gb/… → TW、GB
+ */
+function regionFromPath(url) {
+  const m = url?.match(/^https?:\/\/[^/]+\/(?:[a-z]{2}-)?([a-z]{2})(?:-[a-z]{2})?\//i);
+  return m ? m[1].toUpperCase() : "";
+}
+
+/**
+ * 服務解鎖檢測註冊表（依規則走目前策略，不指定 policy）
+ * - id：unlock 參數使用的識別名稱
+ * - name：顯示名稱
+ * - check()：回傳 { status, region }，status 為 unlocked／partial／blocked／failed
+ */
+const UNLOCK_SERVICES = [
+  {
+    id: "chatgpt",
+    name: "ChatGPT",
+    async check() {
+      const [trace, compliance] = await Promise.all([
+        httpRaw(CONFIG.urls.chatgptTrace),
+        httpResponse(CONFIG.urls.chatgptCompliance)
+      ]);
+      const region = parseTraceLoc(trace);
+      if (!compliance) return { status: "failed", region };
+      if (/unsupported_country/i.test(compliance.body)) return { status: "blocked", region };
+      return { status: region ? "unlocked" : "failed", region };
+    }
+  },
+  {
+    id: "claude",
+    name: "Claude",
+    async check() {
+      const [trace, login] = await Promise.all([
+        httpRaw(CONFIG.urls.claudeTrace),
+        httpResponse({ url: CONFIG.urls.claudeLogin, "auto-redirect": false })
+      ]);
+      const region = parseTraceLoc(trace);
+      if (!login) return { status: "failed", region };
+      if (/app-unavailable-in-region/.test(header(login, "location"))) return { status: "blocked", region };
+      return { status: region ? "unlocked" : "failed", region };
+    }
+  },
+  {
+    id: "netflix",
+    name: "Netflix",
+    async check() {
+      const get = (id) => httpResponse({ url: CONFIG.urls.netflixTitle(id), "auto-redirect": false });
+      const [original, licensed] = await Promise.all([
+        get(CONFIG.unlock.netflixOriginal),
+        get(CONFIG.unlock.netflixLicensed)
+      ]);
+      if (!original && !licensed) return { status: "failed", region: "" };
+      const ok = (resp) => resp && (resp.status === 200 || resp.status === 301 || resp.status === 302);
+      const region = regionFromPath(header(licensed, "location") || header(original, "location"))
+        || (licensed?.body || original?.body || "").match(/"requestCountry":\{"id":"([A-Z]{2})"/)?.[1]
+        || "US";
+      if (ok(licensed)) return { status: "unlocked", region };
+      if (ok(original)) return { status: "partial", region, note: t("unlock.originalsOnly") };
+      return { status: "blocked", region: "" };
+    }
+  },
+  {
+    id: "youtube",
+    name: "YouTube Premium",
+    async check() {
+      const resp = await httpResponse({ url: CONFIG.urls.youtubePremium, headers: { "Accept-Language": "en" } });
+      if (!resp) return { status: "failed", region: "" };
+      if (/www\.google\.cn/.test(resp.body)) return { status: "blocked", region: "CN" };
+      const region = resp.body.match(/"INNERTUBE_CONTEXT_GL":"([A-Z]{2})"/)?.[1]
+        || resp.body.match(/"countryCode":"([A-Z]{2})"/)?.[1]
+        || "";
+      if (/Premium is not available in your country/i.test(resp.body)) return { status: "blocked", region };
+      return { status: /ad-free/i.test(resp.body) ? "unlocked" : "failed", region };
+    }
+  },
+  {
+    id: "disney",
+    name: "Disney+",
+    async check() {
+      const resp = await httpResponse({ url: CONFIG.urls.disneyPlus, "auto-redirect": false });
+      if (!resp) return { status: "failed", region: "" };
+      const location = header(resp, "location");
+      if (resp.status === 403 || /unavailable|preview/i.test(location)) return { status: "blocked", region: "" };
+      const region = regionFromPath(location)
+        || resp.body.match(/"region"\s*:\s*"([A-Z]{2})"/)?.[1]
+        || "";
+      return { status: region ? "unlocked" : "failed", region };
+    }
+  },
+  {
+    id: "tiktok",
+    name: "TikTok",
+    async check() {
+      const resp = await httpResponse(CONFIG.urls.tiktok);
+      if (!resp) return { status: "failed", region: "" };
+      const region = resp.body.match(/"region":"([A-Z]{2})"/)?.[1] || "";
+      if (resp.status === 403 || /^(CN|HK)$/.test(region)) return { status: "blocked", region };
+      return { status: region ? "unlocked" : "failed", region };
+    }
+  }
+];
+
+/**
+ * 並行檢測 unlock 參數指定的服務，單一服務逾時視為檢測失敗
+ * @returns {Promise<{name: string, status: string, region: string, note?: string}[]>}
+ */
+async function checkUnlocks() {
+  const services = UNLOCK_SERVICES.filter(s => args.unlock.includes(s.id));
+  return Promise.all(services.map(async s => {
+    const result = await withTimeout(s.check().catch(() => null), CONFIG.unlock.timeout);
+    const r = result || { status: "failed", region: "" };
+    console.log("解鎖檢測 " + s.name + ": " + r.status + (r.region ? " " + r.region : ""));
+    return { name: s.name, ...r };
+  }));
+}
+
+// ==================== DNSBL 黑名單 ====================
+/**
+ * 以 DNS-over-HTTPS（JSON 格式）查詢單一 DNSBL 區域
+ * 有 127.0.0.x 回應為已列入、NXDOMAIN 為未列入；127.255.255.x 為區域拒絕查詢，視為失敗
+ * @returns {Promise<{zone: string, status: string, codes: string[]}>} status 為 listed／clean／failed
+ */
+async function queryDNSBL(ip, zone) {
+  const name = ip.split(".").reverse().join(".") + "." + zone;
+  const data = await withTimeout(httpJSON({
+    url: args.dnsblDoH.replace("{name}", encodeURIComponent(name)),
+    headers: { Accept: "application/dns-json" }
+  }), CONFIG.dnsbl.timeout);
+  if (data?.Status === 3) return { zone, status: "clean", codes: [] };
+  const codes = (data?.Answer || []).filter(a => a.type === 1).map(a => a.data);
+  if (data?.Status !== 0 || codes.some(c => c.startsWith("127.255.255."))) return { zone, status: "failed", codes };
+  return { zone, status: codes.some(c => c.startsWith("127.")) ? "listed" : "clean", codes };
+}
+
+/**
+ * 並行查詢所有 DNSBL 區域（僅 IPv4）
+ * @returns {Promise<{zones: Object[], listed: string[], checked: number}|null>} 未啟用時回傳 null
+ */
+async function checkDNSBL(ip) {
+  if (!args.dnsblZones.length || !/^\d+\.\d+\.\d+\.\d+$/.test(ip || "")) return null;
+  const zones = await Promise.all(args.dnsblZones.map(zone => queryDNSBL(ip, zone)));
+  const listed = zones.filter(z => z.status === "listed").map(z => z.zone);
+  const checked = zones.filter(z => z.status !== "failed").length;
+  console.log("DNSBL " + ip + ": " + listed.length + "/" + checked + (listed.length ? " " + listed.join(", ") : ""));
+  return { zones, listed, checked };
+}
+
+/**
+ * 判斷是否有新列入的區域（同一 IP 與上次相比），並更新紀錄
+ * @returns {string[]} 新列入的區域，無則為空陣列
+ */
+function newDNSBLListings(dnsbl, ip) {
+  if (!dnsbl) return [];
+  const last = readStoredJSON(CONFIG.storeKeys.lastDnsbl);
+  const before = last?.ip === ipKey(ip) ? last.listed || [] : [];
+  // 查詢失敗的區域沿用上次結果，避免恢復後重複通知
+  const failed = dnsbl.zones.filter(z => z.status === "failed").map(z => z.zone);
+  const listed = [...new Set([...dnsbl.listed, ...before.filter(z => failed.includes(z))])];
+  ENV.write(JSON.stringify({ ip: ipKey(ip), listed, ts: Date.now() }), CONFIG.storeKeys.lastDnsbl);
+  return dnsbl.listed.filter(z => !before.includes(z));
+}
+
+/**
+ * 黑名單摘要：已列入 1/3（b.barracudacentral.org）
+ */
+function formatDNSBL(dnsbl) {
+  if (!dnsbl.checked) return t("dnsbl.unavailable");
+  return dnsbl.listed.length
+    ? t("dnsbl.listed", { n: dnsbl.listed.length, m: dnsbl.checked, zones: dnsbl.listed.join(", ") })
+    : t("dnsbl.clean", { m: dnsbl.checked });
+}
+
+// ==================== DNS 洩漏測試 ====================
+/**
+ * 以 bash.ws 相容的洩漏測試服務檢查 DNS 查詢實際送往的解析器
+ * 流程：取得測試 ID → 解析 {n}.{id}.<服務網域> → 取回服務端記錄到的解析器 IP
+ * 本地替代端點（dns_leak_url）須提供相同介面：/id 與 /dnsleak/test/{id}?json
+ * @returns {Promise<{resolvers: {ip: string, info: Object|null}[]}|null>} 未啟用、無法取得測試 ID 或逾時時回傳 null
+ */
+async function runDNSLeakTest(isZh) {
+  if (!args.dnsLeak) return null;
+  const timedOut = {};
+  const result = await Promise.race([dnsLeakTest(isZh), wait(CONFIG.dnsLeak.deadline).then(() => timedOut)]);
+  if (result !== timedOut) return result;
+  console.log("DNS 洩漏測試：超過 " + CONFIG.dnsLeak.deadline / 1000 + " 秒未完成，略過");
+  return null;
+}
+
+async function dnsLeakTest(isZh) {
+  const base = args.dnsLeakURL;
+  const host = base.replace(/^\w+:\/\//, "").split(/[/:]/)[0];
+  const id = (await withTimeout(httpRaw(base + "/id"), CONFIG.dnsLeak.timeout))?.trim();
+  if (!id || !/^[\w-]+$/.test(id)) {
+    console.log("DNS 洩漏測試：無法取得測試 ID");
+    return null;
+  }
+
+  // 子網域不存在，請求本身會失敗，只需觸發解析
+  await Promise.all(Array.from({ length: CONFIG.dnsLeak.probes }, (_, i) =>
+    withTimeout(httpRaw("https://" + (i + 1) + "." + id + "." + host + "/"), CONFIG.dnsLeak.probeTimeout)));
+
+  const data = await withTimeout(httpJSON(base + "/dnsleak/test/" + id + "?json"), CONFIG.dnsLeak.timeout);
+  const ips = [...new Set((Array.isArray(data) ? data : []).filter(r => r.type === "dns" && r.ip).map(r => r.ip))]
+    .slice(0, CONFIG.dnsLeak.maxResolvers);
+  const resolvers = await Promise.all(ips.map(async ip => ({ ip, info: await resolverGeo(ip, isZh) })));
+  console.log("DNS 解析器: " + (resolvers.map(r => r.ip + " " + (r.info?.country_code || "?")).join(", ") || "無"));
+  return { resolvers };
+}
+
+/**
+ * 解析器的地理資訊：沿用與出口相同的來源與正規化（zh 以 bilibili 為主）
+ */
+async function resolverGeo(ip, isZh) {
+  const [ipInfoRaw, sbRaw, biliRaw] = await Promise.all([
+    withTimeout(httpJSON(CONFIG.urls.ipInfo(ip)), CONFIG.dnsLeak.timeout),
+    withTimeout(httpJSON(CONFIG.urls.inboundInfo(ip)), CONFIG.dnsLeak.timeout),
+    isZh ? withTimeout(httpJSON(CONFIG.urls.biliGeo(ip)), CONFIG.dnsLeak.timeout) : null
+  ]);
+  const fallbacks = [normalizeIpInfo(ipInfoRaw), normalizeIpSb(sbRaw)];
+  return privacyGeo(isZh ? mergeBilibili(normalizeBilibili(biliRaw), fallbacks) : (fallbacks[0] || fallbacks[1]));
+}
+
+/**
+ * 標示與出口不同國家的解析器（任一方國家未知時不標示）
+ */
+function compareResolvers(leak, countryCode) {
+  if (!leak) return null;
+  const resolvers = leak.resolvers.map(r => ({
+    ...r,
+    foreign: Boolean(countryCode && r.info?.country_code && r.info.country_code !== countryCode)
+  }));
+  return { resolvers, foreign: resolvers.filter(r => r.foreign).length };
+}
+
+/**
+ * 解析器摘要：2 個，1 個與出口不同國家
+ */
+function formatDNSLeak(leak) {
+  if (!leak.resolvers.length) return t("dnsLeak.unavailable");
+  return t("dnsLeak.summary", { n: leak.resolvers.length }) + (leak.foreign ? " ⚠ " + t("dnsLeak.foreign", { n: leak.foreign }) : "");
+}
+
+/**
+ * 單一解析器：🇺🇸 1.1.1.1 · Cloudflare, Inc.（與出口不同國家時加上 ⚠）
+ */
+function resolverLine(r, isMask) {
+  return flag(r.info?.country_code) + " " + (isMask ? maskIP(r.ip) : r.ip) + " · " + (r.info?.org || "Unknown") + (r.foreign ? " ⚠" : "");
 }
 
 // ==================== IP 取得 ====================
+/**
+ * 取得入口 IP（DIRECT）：依優先順序啟動各來源，前一個失敗或逾 inboundHedge 毫秒未回應時同時啟動下一個
+ * 採用最先取得的結果（同時取得時以優先順序較高者為準），全部合計不超過 inboundTimeout，單一來源卡住不會拖垮面板
+ * @returns {Promise<{ip: string|null, source: string|null, raw: Object|null}>}
+ */
+function fetchInboundIP() {
+  const sources = CONFIG.inboundSources;
+  // 各來源的回應：undefined＝等待中，null＝失敗
+  const results = [];
+  let settled = false;
+
+  return new Promise(resolve => {
+    const finish = () => {
+      settled = true;
+      const index = results.findIndex(Boolean);
+      results.slice(0, index < 0 ? results.length : index).forEach((data, i) => {
+        console.log("入口 IP 來源 " + sources[i].name + (data === undefined ? " 未回應" : " 失敗"));
+      });
+      if (index < 0) return resolve({ ip: null, source: null, raw: null });
+      if (index > 0) console.log("入口 IP 改由 " + sources[index].name + " 取得");
+      resolve({ ip: sources[index].ip(results[index]), source: sources[index].name, raw: results[index] });
+    };
+    const check = () => {
+      if (settled) return;
+      if (results.some(Boolean)) return finish();
+      // 已啟動的來源皆失敗時立即改用下一個，仍有來源等待中則交由 inboundHedge 計時
+      if (results.every(data => data === null)) {
+        if (results.length < sources.length) launch();
+        else finish();
+      }
+    };
+    const launch = () => {
+      const i = results.length;
+      results.push(undefined);
+      httpJSON(sources[i].url, "DIRECT").catch(() => null).then(data => {
+        results[i] = sources[i].ip(data) ? data : null;
+        check();
+      });
+      wait(CONFIG.inboundHedge).then(() => {
+        if (!settled && results.length === i + 1 && i + 1 < sources.length) launch();
+      });
+    };
+
+    launch();
+    wait(CONFIG.inboundTimeout).then(() => { if (!settled) finish(); });
+  });
+}
+
 /**
  * 取得入口／出口 IP 位址
  */
 async function fetchIPs() {
   const [enter, exit, exit6] = await Promise.all([
-    httpJSON(CONFIG.urls.inboundIP, "DIRECT"),
-    httpJSON(CONFIG.urls.outboundIP),
-    Promise.race([
-      httpJSON(CONFIG.urls.outboundIPv6),
-      wait(CONFIG.ipv6Timeout).then(() => null)
-    ])
+    fetchInboundIP(),
+    httpJSON(markProbe(CONFIG.urls.outboundIP)),
+    withTimeout(httpJSON(markProbe(CONFIG.urls.outboundIPv6)), CONFIG.ipv6Timeout)
   ]);
 
   const v6ip = exit6?.ip;
@@ -393,15 +2460,58 @@ async function fetchIPs() {
   const hasIPv6 = v6ip && v6ip.includes(":");
 
   return {
-    inIP: enter?.data?.addr || null,
+    inIP: enter.ip,
+    inSource: enter.source,
     outIP: exit?.ip || null,
     outIPv6: hasIPv6 ? v6ip : null,
-    inRaw: enter,
+    // 僅 bilibili 的回應可作為入口地理來源
+    inRaw: enter.source === "bilibili" ? enter.raw : null,
     outRaw: exit,
     v6Raw: hasIPv6 ? exit6 : null
   };
 }
 
+// ==================== 本機網路環境 ====================
+/**
+ * 判斷 IPv4 是否在指定網段（CIDR）
+ */
+function inCIDR(ip, cidr) {
+  const [base, bits] = cidr.split("/");
+  const toInt = (v) => v.split(".").reduce((n, p) => n * 256 + Number(p), 0);
+  const size = 2 ** (32 - Number(bits));
+  return Math.floor(toInt(ip) / size) === Math.floor(toInt(base) / size);
+}
+
+/**
+ * 本機網路環境：介面（Wi-Fi／行動網路）、本機位址與 NAT 類型
+ * CGNAT：本機位址在 100.64.0.0/10、行動網路使用私有位址，或本機為公網位址卻與入口 IP 不同
+ * @returns {{network: Object|null, localIP: string, nat: string}} nat 為 direct／nat／cgnat／unknown
+ */
+function localNetwork(publicIP) {
+  const network = ENV.network();
+  const localIP = network?.localIP || "";
+  let nat = "unknown";
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(localIP)) {
+    const isPrivate = CONFIG.privateRanges.some(r => inCIDR(localIP, r));
+    const onCellular = !network.ssid && Boolean(network.cellular);
+    if (localIP === publicIP) nat = "direct";
+    else if (inCIDR(localIP, CONFIG.cgnatRange) || !isPrivate || onCellular) nat = "cgnat";
+    else nat = "nat";
+  }
+  return { network, localIP, nat };
+}
+
+/**
+ * 本機網路摘要：Wi-Fi Home · 本機 192.168.1.20 · NAT（皆無資料時回傳空字串）
+ */
+function formatLocalNetwork(local, isMask) {
+  return [
+    formatNetwork(local.network),
+    local.localIP ? t("net.local", { ip: isMask ? maskIP(local.localIP) : local.localIP }) : "",
+    local.nat === "unknown" ? "" : (local.nat === "cgnat" ? "⚠ " : "") + t("nat." + local.nat)
+  ].filter(Boolean).join(" · ");
+}
+
 // ==================== 網路變更偵測 ====================
 /**
  * 檢查 IP 是否發生變更（EVENT 模式）
@@ -410,35 +2520,271 @@ async function fetchIPs() {
 function checkIPChange(inIP, outIP, outIPv6) {
   if (!args.isEvent) return true;
 
-  const lastEvent = $persistentStore.read(CONFIG.storeKeys.lastEvent);
+  const lastEvent = ENV.read(CONFIG.storeKeys.lastEvent);
   let lastData = {};
   if (lastEvent) {
     try { lastData = JSON.parse(lastEvent); } catch (e) {}
   }
 
-  if (inIP === lastData.inIP && outIP === lastData.outIP && outIPv6 === lastData.outIP6) {
+  // hash_ip 時只儲存雜湊，比對雜湊即可判斷是否變更
+  const current = { inIP: ipKey(inIP), outIP: ipKey(outIP), outIP6: ipKey(outIPv6) };
+  if (current.inIP === lastData.inIP && current.outIP === lastData.outIP && current.outIP6 === lastData.outIP6) {
     console.log("網路資訊未變更，略過");
     return false;
   }
 
   console.log("網路資訊已變更");
-  $persistentStore.write(JSON.stringify({ inIP, outIP, outIP6: outIPv6 }), CONFIG.storeKeys.lastEvent);
+  ENV.write(JSON.stringify(current), CONFIG.storeKeys.lastEvent);
   return true;
 }
 
+/**
+ * 登記本次網路變更事件；延遲期間內若有較新的事件登記，改由較新者檢測（合併連續切換）
+ */
+function registerEvent() {
+  ENV.write(JSON.stringify({ id: RUN_MARKER, ts: Date.now() }), CONFIG.storeKeys.pendingEvent);
+}
+
+function isSupersededEvent() {
+  const pending = readStoredJSON(CONFIG.storeKeys.pendingEvent);
+  return Boolean(pending?.id && pending.id !== RUN_MARKER);
+}
+
+/**
+ * 通知冷卻：距上次網路變更通知未滿 cooldown 秒時不再通知（變更仍會記錄）
+ */
+function inNotifyCooldown() {
+  const last = Number(ENV.read(CONFIG.storeKeys.lastChangeNotify)) || 0;
+  return Date.now() - last < args.cooldown * 1000;
+}
+
+function readHistory() {
+  const history = readStoredJSON(CONFIG.storeKeys.history);
+  return Array.isArray(history) ? history : [];
+}
+
+/**
+ * 新增一筆網路變更紀錄（保留最近 CONFIG.history.size 筆）
+ * @param {{ts: number, inIP: string, outIP: string, outIP6: string|null, policy: string, risk: number|null, network: Object|null}} entry
+ */
+function recordTransition(entry) {
+  const history = [...readHistory(), entry].slice(-CONFIG.history.size);
+  ENV.write(JSON.stringify(history), CONFIG.storeKeys.history);
+  return history;
+}
+
+/**
+ * 網路介面文字：Wi-Fi Home／行動網路 5G
+ */
+function formatNetwork(net) {
+  if (net?.ssid) return t("net.wifi", { ssid: privacySSID(net.ssid) });
+  if (net?.cellular) return t("net.cellular", { radio: net.cellular });
+  return "";
+}
+
+/**
+ * 變更次數摘要：1 小時內 3 次 · 最近 5 分鐘前
+ */
+function historySummary(history) {
+  const n = history.filter(h => Date.now() - h.ts < CONFIG.history.window).length;
+  return t("history.summary", { n, age: formatAge(history.at(-1).ts) });
+}
+
+// ==================== 出口規則檢查 ====================
+/**
+ * 解析出口規則：LLM:country=US|TW;PayPal:risk<40
+ * @returns {{target: string, field: string, op: string, values: string[], raw: string}[]}
+ */
+function parseRules(text) {
+  return (text || "").split(";").map(r => r.trim()).filter(Boolean).map(raw => {
+    const m = raw.match(/^(.+?):(country|risk)\s*(!=|<=|<|=)\s*(.+)$/i);
+    if (!m) {
+      console.log("略過無效規則: " + raw);
+      return null;
+    }
+    const [, target, field, op, value] = m;
+    const key = field.toLowerCase();
+    const valid = key === "country" ? (op === "=" || op === "!=") : (op === "<" || op === "<=");
+    if (!valid || (key === "risk" && !Number.isFinite(Number(value)))) {
+      console.log("略過無效規則: " + raw);
+      return null;
+    }
+    return { target: target.trim(), field: key, op, values: value.split("|").map(v => v.trim().toUpperCase()), raw };
+  }).filter(Boolean);
+}
+
+/**
+ * 合併參數與持久化儲存中的出口規則
+ */
+function loadRules() {
+  return parseRules([args.rules, ENV.read(CONFIG.storeKeys.rules)].filter(Boolean).join(";"));
+}
+
+/**
+ * 檢查出口是否違反規則
+ * 規則的策略可為決策路徑上的任一層（策略、子策略組或節點）
+ * @param {{policy: string, policies: string[], country: string, risk: number|null}} exit
+ * @returns {{rule: Object, reason: string}[]} 違反的規則與原因
+ */
+function evaluateRules(rules, { policy, policies = [policy], country, risk }) {
+  const violations = [];
+  for (const rule of rules) {
+    if (rule.target !== "*" && !policies.includes(rule.target)) continue;
+    const name = privacyAtLeast("strict") ? t("privacy.hidden") : rule.target === "*" ? policy : rule.target;
+
+    if (rule.field === "country") {
+      const cc = (country || "").toUpperCase();
+      const listed = rule.values.includes(cc);
+      if (!cc) {
+        violations.push({ rule, reason: t("rule.noCountry", { name }) });
+      } else if (rule.op === "=" ? !listed : listed) {
+        const key = rule.op === "=" ? "rule.countryNotIn" : "rule.countryBanned";
+        violations.push({ rule, reason: t(key, { name, cc, list: rule.values.join("/") }) });
+      }
+    } else {
+      const limit = Number(rule.values[0]);
+      if (risk === null || risk === undefined) {
+        violations.push({ rule, reason: t("rule.noRisk", { name }) });
+      } else if (rule.op === "<" ? risk >= limit : risk > limit) {
+        violations.push({ rule, reason: t("rule.riskOver", { name, risk, limit: rule.op + limit }) });
+      }
+    }
+  }
+  return violations;
+}
+
+/**
+ * 判斷違規內容是否與上次警示相同，避免面板定時更新重複通知
+ * @returns {boolean} true 表示為新的違規，應送出警示
+ */
+function isNewViolation(violations, outIP) {
+  const signature = violations.length ? ipKey(outIP) + "|" + violations.map(v => v.rule.raw).join(";") : "";
+  const last = ENV.read(CONFIG.storeKeys.lastAlert) || "";
+  if (signature === last) return false;
+  ENV.write(signature, CONFIG.storeKeys.lastAlert);
+  return violations.length > 0;
+}
+
+// ==================== 版面範本 ====================
+/**
+ * 依名稱取得範本：預設組名稱回傳對應範本（full 為 null，使用內建版面），其餘視為自訂範本
+ */
+function resolveTemplate(name, presets) {
+  return Object.prototype.hasOwnProperty.call(presets, name) ? presets[name] : name;
+}
+
+/**
+ * 套用範本
+ * - {name}：代入欄位，未知欄位原樣保留
+ * - {#name}…{/name}：欄位有值時才輸出；{^name}…{/name}：欄位無值時才輸出
+ * 例：{#risk}{risk}% {/risk}{risk_label} → 「18% 純淨 IP」或「無法評分」
+ */
+function renderTemplate(template, vars) {
+  let text = template;
+  let prev;
+  do {
+    prev = text;
+    text = text.replace(/\{([#^])(\w+)\}([\s\S]*?)\{\/\2\}/g, (m, type, name, inner) => {
+      const has = vars[name] !== undefined && vars[name] !== null && vars[name] !== "";
+      return (type === "#") === has ? inner : "";
+    });
+  } while (text !== prev);
+  return text.replace(/\{(\w+)\}/g, (m, name) => name in vars ? (vars[name] ?? "") : m)
+    .split("\n").map(line => line.trimEnd()).join("\n");
+}
+
+/**
+ * 建構範本可用欄位（已套用 IP 打碼與介面語言）
+ */
+function templateVars({ isZh, isMask, policy, route, riskInfo, riskResult, riskInfo6, ipType, ipSrc, ipType6, inIP, inSource, local, inInfo, outIP, outIPv6, outInfo, ipv6Info, geo, network, dnsbl, dnsLeak, history, unlocks, violations }) {
+  const ct = (info) => isZh ? info?.country_name : info?.country_code;
+  const m = (ip) => isMask ? maskIP(ip) : ip;
+  const geoText = (info) => info ? formatGeo(info.country_code, info.city, info.region, ct(info)) : "";
+  return {
+    policy,
+    route: formatRoute(route),
+    node: privacyAtLeast("strict") ? t("privacy.hidden") : route.node,
+    risk: riskInfo.score ?? "",
+    risk_label: riskResult.label,
+    risk_source: riskInfo.source,
+    risk_providers: formatRiskProviders(riskInfo),
+    disagree: riskInfo.disagree ? "⚠" : "",
+    ip_type: ipType,
+    ip_src: ipSrc,
+    risk6: riskInfo6?.score ?? "",
+    risk_label6: riskInfo6 ? riskText(riskInfo6.score).label : "",
+    ip_type6: ipType6 || "",
+    in_ip: m(inIP),
+    in_geo: geoText(inInfo),
+    in_isp: inInfo?.org || "Unknown",
+    in_flag: flag(inInfo?.country_code),
+    in_src: inSource,
+    net: formatLocalNetwork(local, isMask),
+    nat: local.nat === "unknown" ? "" : t("nat." + local.nat),
+    out_ip: m(outIP),
+    out_geo: geoText(outInfo),
+    out_isp: outInfo?.org || "Unknown",
+    out_flag: flag(outInfo?.country_code),
+    out_cc: outInfo?.country_code || "",
+    geo_confidence: t("confidence." + geo.outbound.confidence),
+    in_mismatch: geo.inbound.mismatches.length ? "⚠" : "",
+    out_mismatch: geo.outbound.mismatches.length ? "⚠" : "",
+    out_ip6: outIPv6 ? m(outIPv6) : "",
+    out_geo6: outIPv6 ? geoText(ipv6Info) : "",
+    out_isp6: outIPv6 ? (ipv6Info?.org || "Unknown") : "",
+    asn: network.outbound.asn ? "AS" + network.outbound.asn : "",
+    prefix: network.outbound.prefix,
+    asn_type: network.outbound.type ? t("asnType." + network.outbound.type) : "",
+    abuse_cc: network.outbound.abuseCountry,
+    dnsbl: dnsbl ? formatDNSBL(dnsbl) : "",
+    dnsbl_listed: dnsbl?.listed.join(", ") || "",
+    dns_leak: dnsLeak ? formatDNSLeak(dnsLeak) : "",
+    dns_foreign: dnsLeak?.foreign ? "⚠" : "",
+    changes: history.length ? historySummary(history) : "",
+    unlock: buildUnlockSection(unlocks).slice(2).join("\n"),
+    violations: violations.map(v => "⛔ " + v.reason).join("\n")
+  };
+}
+
 // ==================== 面板內容建構 ====================
+/**
+ * 格式化風控值：12% 純淨 IP（無分數時僅顯示描述）
+ */
+function formatRiskScore(riskInfo, riskResult) {
+  return riskInfo.score === null ? riskResult.label : riskInfo.score + "% " + riskResult.label;
+}
+
+/**
+ * 地區文字，來源不一致時加上 ⚠ 標記
+ */
+function regionText(info, geoCheck, isZh) {
+  const ct = isZh ? info?.country_name : info?.country_code;
+  return formatGeo(info?.country_code, info?.city, info?.region, ct) + (geoCheck?.mismatches.length ? " ⚠" : "");
+}
+
+/**
+ * ASN 欄位：ASN：AS906 · 203.0.113.0/24 · 機房／雲端（無 ASN 時不顯示）
+ */
+function networkLines(net, mark = "") {
+  if (!net?.asn) return [];
+  return [labeled("asn", ["AS" + net.asn, net.prefix, net.type ? t("asnType." + net.type) : ""].filter(Boolean).join(" · "), mark)];
+}
+
 /**
  * 建構出口 IP 顯示內容
+ * @param {{outbound: Object, ipv6: Object|null}} geo 各出口的地理比對結果（reconcileGeo）
+ * @param {{outbound: Object, ipv6: Object|null}} network 各出口的 ASN 與網段（getNetworkInfo）
  */
-function buildOutboundSection(outIP, outIPv6, outInfo, ipv6Info, isZh, isMask) {
+function buildOutboundSection(outIP, outIPv6, outInfo, ipv6Info, isZh, isMask, geo, network) {
   const lines = [];
-  const ct = (info) => isZh ? info?.country_name : info?.country_code;
   const m = (ip) => isMask ? maskIP(ip) : ip;
 
   if (!outIPv6) {
-    lines.push("出口 IP：" + m(outIP));
-    lines.push("地區：" + formatGeo(outInfo?.country_code, outInfo?.city, outInfo?.region, ct(outInfo)));
-    lines.push("電信商：" + (outInfo?.org || "Unknown"));
+    lines.push(labeled("outIP", m(outIP)));
+    lines.push(labeled("region", regionText(outInfo, geo.outbound, isZh)));
+    lines.push(labeled("isp", outInfo?.org || "Unknown"));
+    lines.push(...networkLines(network.outbound));
+    lines.push(...formatMismatches(geo.outbound));
     return lines;
   }
 
@@ -446,39 +2792,82 @@ function buildOutboundSection(outIP, outIPv6, outInfo, ipv6Info, isZh, isMask) {
     && outInfo?.org === ipv6Info?.org;
 
   if (sameLocation) {
-    lines.push("出口 IP⁴：" + m(outIP));
-    lines.push("出口 IP⁶：" + m(outIPv6));
-    lines.push("地區：" + formatGeo(outInfo?.country_code, outInfo?.city, outInfo?.region, ct(outInfo)));
-    lines.push("電信商：" + (outInfo?.org || "Unknown"));
+    lines.push(labeled("outIP", m(outIP), "⁴"));
+    lines.push(labeled("outIP", m(outIPv6), "⁶"));
+    lines.push(labeled("region", regionText(outInfo, geo.outbound, isZh)));
+    lines.push(labeled("isp", outInfo?.org || "Unknown"));
+    lines.push(...networkLines(network.outbound, "⁴"), ...networkLines(network.ipv6, "⁶"));
+    lines.push(...formatMismatches(geo.outbound, "⁴"), ...formatMismatches(geo.ipv6, "⁶"));
   } else {
-    lines.push("出口 IP⁴：" + m(outIP));
-    lines.push("地區⁴：" + formatGeo(outInfo?.country_code, outInfo?.city, outInfo?.region, ct(outInfo)));
-    lines.push("電信商⁴：" + (outInfo?.org || "Unknown"));
+    lines.push(labeled("outIP", m(outIP), "⁴"));
+    lines.push(labeled("region", regionText(outInfo, geo.outbound, isZh), "⁴"));
+    lines.push(labeled("isp", outInfo?.org || "Unknown", "⁴"));
+    lines.push(...networkLines(network.outbound, "⁴"));
+    lines.push(...formatMismatches(geo.outbound, "⁴"));
     lines.push("");
-    lines.push("出口 IP⁶：" + m(outIPv6));
-    lines.push("地區⁶：" + formatGeo(ipv6Info?.country_code, ipv6Info?.city, ipv6Info?.region, ct(ipv6Info)));
-    lines.push("電信商⁶：" + (ipv6Info?.org || "Unknown"));
+    lines.push(labeled("outIP", m(outIPv6), "⁶"));
+    lines.push(labeled("region", regionText(ipv6Info, geo.ipv6, isZh), "⁶"));
+    lines.push(labeled("isp", ipv6Info?.org || "Unknown", "⁶"));
+    lines.push(...networkLines(network.ipv6, "⁶"));
+    lines.push(...formatMismatches(geo.ipv6, "⁶"));
   }
 
   return lines;
 }
 
 /**
- * 建構完整面板內容
+ * 建構服務解鎖顯示內容：ChatGPT ✓US · Netflix ◐TW 僅自製劇 · Disney+ ✕
  */
-function buildPanelContent({ isZh, isMask, riskInfo, riskResult, ipType, ipSrc, inIP, inInfo, outIP, outIPv6, outInfo, ipv6Info }) {
-  const ct = (info) => isZh ? info?.country_name : info?.country_code;
+function buildUnlockSection(unlocks) {
+  if (!unlocks?.length) return [];
+  const marks = { unlocked: "✓", partial: "◐", blocked: "✕", failed: "？" };
+  const items = unlocks.map(u => u.name + " " + marks[u.status] + u.region + (u.note ? " " + u.note : ""));
+  const lines = ["", t("unlock") + t("sep")];
+  for (let i = 0; i < items.length; i += CONFIG.unlock.perLine) {
+    lines.push(items.slice(i, i + CONFIG.unlock.perLine).join(" · "));
+  }
+  return lines;
+}
+
+/**
+ * 建構面板內容：template 參數指定範本時套用範本，否則使用完整版面
+ */
+function buildPanelContent(context) {
+  const template = resolveTemplate(args.template, CONFIG.templates.panel);
+  if (template) return renderTemplate(template, templateVars(context));
+
+  const { isZh, isMask, route, riskInfo, riskInfo6, ipType, ipSrc, ipType6, inIP, inSource, local, inInfo, outIP, outIPv6, outInfo, ipv6Info, geo, network, dnsbl, dnsLeak, history, unlocks, violations } = context;
   const m = (ip) => isMask ? maskIP(ip) : ip;
+  // 雙棧時 IPv4／IPv6 各自顯示風控值與類型
+  const mark = riskInfo6 ? "⁴" : "";
+  const riskLines = (info, sup) => [
+    labeled("risk", formatRiskScore(info, riskText(info.score)) + " (" + info.source + ")", sup),
+    labeled("riskSources", formatRiskProviders(info) + (info.disagree ? " ⚠ " + t("disagree") : ""), sup)
+  ];
   const lines = [
-    "IP 風控值：" + riskInfo.score + "% " + riskResult.label + " (" + riskInfo.source + ")",
+    ...violations.map(v => "⛔ " + v.reason),
+    ...(violations.length ? [""] : []),
+    ...riskLines(riskInfo, mark),
+    ...(riskInfo6 ? riskLines(riskInfo6, "⁶") : []),
+    ...(dnsbl ? [labeled("dnsbl", formatDNSBL(dnsbl))] : []),
+    ...(history.length ? [labeled("history", historySummary(history))] : []),
     "",
-    "IP 類型：" + ipType + " | " + ipSrc,
+    labeled("ipType", ipType + " | " + ipSrc, mark),
+    ...(ipType6 ? [labeled("ipType", ipType6, "⁶")] : []),
     "",
-    "入口 IP：" + m(inIP),
-    "地區：" + formatGeo(inInfo?.country_code, inInfo?.city, inInfo?.region, ct(inInfo)),
-    "電信商：" + (inInfo?.org || "Unknown"),
+    // 入口 IP 非由預設來源取得時標示來源
+    labeled("inIP", m(inIP) + (inSource !== CONFIG.inboundSources[0].name ? " (" + inSource + ")" : "")),
+    labeled("region", regionText(inInfo, geo.inbound, isZh)),
+    labeled("isp", inInfo?.org || "Unknown"),
+    ...networkLines(network.inbound),
+    ...formatMismatches(geo.inbound),
+    ...(formatLocalNetwork(local, isMask) ? [labeled("netContext", formatLocalNetwork(local, isMask))] : []),
     "",
-    ...buildOutboundSection(outIP, outIPv6, outInfo, ipv6Info, isZh, isMask)
+    // 決策路徑僅在有規則或多層策略時顯示
+    ...(route.rule || route.path.length > 1 ? [labeled("route", formatRoute(route))] : []),
+    ...buildOutboundSection(outIP, outIPv6, outInfo, ipv6Info, isZh, isMask, geo, network),
+    ...(dnsLeak ? ["", labeled("dnsLeak", formatDNSLeak(dnsLeak)), ...dnsLeak.resolvers.map(r => resolverLine(r, isMask))] : []),
+    ...buildUnlockSection(unlocks)
   ];
 
   return lines.join("\n");
@@ -487,132 +2876,808 @@ function buildPanelContent({ isZh, isMask, riskInfo, riskResult, ipType, ipSrc,
 // ==================== 通知內容建構 ====================
 /**
  * 建構網路變更通知並送出
+ * notify_template 指定範本時：第一行為標題、第二行為副標題、其餘為內文
  */
-function sendNetworkChangeNotification({ policy, inIP, outIP, inInfo, outInfo, riskInfo, riskResult, ipType, ipSrc, isMask }) {
+function sendNetworkChangeNotification(context) {
+  const template = resolveTemplate(args.notifyTemplate, CONFIG.templates.notify);
+  if (template) {
+    const [title, subtitle = "", ...body] = renderTemplate(template, templateVars(context)).split("\n");
+    ENV.notify(title, subtitle, body.join("\n"));
+    console.log("=== 已送出通知（範本） ===");
+    return;
+  }
+
+  const { policy, inIP, outIP, inInfo, outInfo, riskInfo, riskResult, riskInfo6, ipType, ipSrc, ipType6, geo, dnsbl, dnsLeak, local, isMask } = context;
   const m = (ip) => isMask ? maskIP(ip) : ip;
-  const title = "⌘ 網路已切換 | " + policy;
+  const warn = (geoCheck) => geoCheck?.mismatches.length ? " ⚠" : "";
+  const title = t("notifyTitle", { policy });
   const subtitle = "🅓 " + m(inIP) + " 🅟 " + m(outIP);
   const body = [
-    "🅓 " + formatGeo(inInfo?.country_code, inInfo?.city, inInfo?.country_name) + " · " + (inInfo?.org || "Unknown"),
-    "🅟 " + formatGeo(outInfo?.country_code, outInfo?.city, outInfo?.country_name) + " · " + (outInfo?.org || "Unknown"),
-    "🅟 風控：" + riskInfo.score + "% " + riskResult.label + " | 類型：" + ipType + " · " + ipSrc
+    "🅓 " + formatGeo(inInfo?.country_code, inInfo?.city, inInfo?.country_name) + " · " + (inInfo?.org || "Unknown") + warn(geo.inbound),
+    ...(formatLocalNetwork(local, isMask) ? ["🅓 " + formatLocalNetwork(local, isMask)] : []),
+    "🅟 " + formatGeo(outInfo?.country_code, outInfo?.city, outInfo?.country_name) + " · " + (outInfo?.org || "Unknown") + warn(geo.outbound),
+    "🅟 " + labeled("riskShort", formatRiskScore(riskInfo, riskResult)) + (riskInfo.disagree ? " ⚠ " + t("sourcesDisagree") : "")
+      + " | " + labeled("typeShort", ipType + " · " + ipSrc),
+    ...(riskInfo6 ? ["🅟⁶ " + labeled("riskShort", formatRiskScore(riskInfo6, riskText(riskInfo6.score)))
+      + (riskInfo6.disagree ? " ⚠ " + t("sourcesDisagree") : "") + " | " + labeled("typeShort", ipType6)] : []),
+    ...(dnsbl?.listed.length ? ["🅟 ⛔ " + labeled("dnsbl", formatDNSBL(dnsbl))] : []),
+    ...(dnsLeak?.foreign ? ["🅟 " + labeled("dnsLeak", formatDNSLeak(dnsLeak))] : []),
+    ...formatMismatches(geo.inbound).map(line => "🅓 " + line),
+    ...formatMismatches(geo.outbound).map(line => "🅟 " + line),
+    ...formatMismatches(geo.ipv6).map(line => "🅟⁶ " + line)
   ].join("\n");
 
-  $notification.post(title, subtitle, body);
+  ENV.notify(title, subtitle, body);
   console.log("=== 已送出通知 ===");
 }
 
+/**
+ * 送出違反出口規則的警示通知（附提示音）
+ */
+function sendRuleAlert({ policy, outIP, outInfo, riskInfo, riskResult, isMask, violations }) {
+  const m = (ip) => isMask ? maskIP(ip) : ip;
+  const title = t("alertTitle", { policy });
+  const subtitle = "🅟 " + m(outIP) + " " + formatGeo(outInfo?.country_code, outInfo?.country_code) + " · " + labeled("riskShort", formatRiskScore(riskInfo, riskResult));
+  const body = violations.map(v => "• " + v.reason).join("\n");
+
+  ENV.notify(title, subtitle, body, { sound: true });
+  console.log("=== 已送出規則警示 ===");
+}
+
+/**
+ * 送出 IP 新列入黑名單的警示通知（附提示音）
+ */
+function sendDNSBLAlert({ policy, outIP, isMask, dnsbl, newListings }) {
+  const m = (ip) => isMask ? maskIP(ip) : ip;
+  const title = t("dnsbl.alertTitle", { policy });
+  const subtitle = "🅟 " + m(outIP) + " · " + labeled("dnsbl", formatDNSBL(dnsbl));
+  ENV.notify(title, subtitle, t("dnsbl.newZones", { zones: newListings.join(", ") }), { sound: true });
+  console.log("=== 已送出黑名單警示 ===");
+}
+
+// ==================== 完整報告（http-request） ====================
+/**
+ * 從 ip.sb 與 ipinfo.io 原始資料擷取 ASN
+ */
+function extractASN(sbRaw, ipInfoRaw) {
+  const fromIpInfo = ipInfoRaw?.org?.match(/^AS(\d+)\s*(.*)$/);
+  return {
+    asn: sbRaw?.asn ? Number(sbRaw.asn) : (fromIpInfo ? Number(fromIpInfo[1]) : null),
+    name: sbRaw?.asn_organization || fromIpInfo?.[2] || ""
+  };
+}
+
+function readStoredJSON(key) {
+  try { return JSON.parse(ENV.read(key)); } catch (e) { return null; }
+}
+
+/**
+ * 彙整報告資料（JSON 與 HTML 共用）
+ */
+function buildReport({ isMask, policy, route, riskInfo, riskInfo6, ipType, ipSrc, ipType6, inIP, inSource, local, outIP, outIPv6, inInfo, outInfo, ipv6Info, geo, network, dnsbl, dnsLeak, history, unlocks, violations, sources }) {
+  const m = (ip) => isMask ? maskIP(ip) : ip;
+  const lastEvent = readStoredJSON(CONFIG.storeKeys.lastEvent);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    app: ENV.app,
+    policy: privacyAtLeast("strict") ? { name: policy, certain: route.certain, rule: null, path: [], node: null, lastStored: null } : {
+      name: policy,
+      certain: route.certain,
+      rule: route.rule || null,
+      path: route.path,
+      node: route.node || null,
+      lastStored: ENV.read(CONFIG.storeKeys.lastPolicy) || null
+    },
+    inbound: {
+      ip: m(inIP),
+      source: inSource,
+      local: { network: local.network && { ssid: privacySSID(local.network.ssid), cellular: local.network.cellular }, localIP: m(local.localIP), nat: local.nat },
+      geo: inInfo,
+      asn: network.inbound,
+      consensus: geo.inbound,
+      sources: sources.inbound
+    },
+    outbound: { ip: m(outIP), geo: outInfo, asn: network.outbound, consensus: geo.outbound, sources: sources.outbound },
+    ipv6: outIPv6 ? { ip: m(outIPv6), geo: ipv6Info, asn: network.ipv6, consensus: geo.ipv6, sources: sources.ipv6 } : null,
+    risk: reportRisk(riskInfo),
+    risk6: riskInfo6 ? reportRisk(riskInfo6) : null,
+    ipType: { type: ipType, source: ipSrc },
+    ipType6: ipType6 ? { type: ipType6 } : null,
+    dnsbl,
+    dnsLeak: dnsLeak ? {
+      foreign: dnsLeak.foreign,
+      resolvers: dnsLeak.resolvers.map(r => ({ ip: m(r.ip), geo: r.info, foreign: r.foreign }))
+    } : null,
+    unlocks,
+    rules: {
+      rules: loadRules().map(privacyRule),
+      violations: violations.map(v => v.reason)
+    },
+    cache: readRiskCache().map(e => ({
+      ip: m(e.ip),
+      lastUsed: e.ts ? new Date(e.ts).toISOString() : null,
+      providers: Object.fromEntries(Object.entries(e.providers).map(([name, p]) => [name, { score: p.score, updatedAt: new Date(p.ts).toISOString() }]))
+    })),
+    history: {
+      lastEvent: lastEvent ? { inIP: m(lastEvent.inIP), outIP: m(lastEvent.outIP), outIP6: m(lastEvent.outIP6) } : null,
+      lastAlert: reportLastAlert(),
+      // 開啟 strict 前的紀錄仍可能含策略與 SSID，輸出時一併隱藏
+      transitions: history.map(h => ({
+        ...h,
+        at: new Date(h.ts).toISOString(),
+        inIP: m(h.inIP),
+        outIP: m(h.outIP),
+        outIP6: m(h.outIP6),
+        policy: privacyAtLeast("strict") ? null : h.policy,
+        network: h.network && { ...h.network, ssid: privacySSID(h.network.ssid) }
+      }))
+    }
+  };
+}
+
+/**
+ * 報告中的上次規則警示簽章（出口 IP|規則…）：打碼時隱藏 IP，strict 時規則含策略名稱，整段隱藏
+ */
+function reportLastAlert() {
+  const signature = ENV.read(CONFIG.storeKeys.lastAlert);
+  if (!signature) return null;
+  if (privacyAtLeast("strict")) return t("privacy.hidden");
+  return args.maskIP ? redactIPs(signature) : signature;
+}
+
+/**
+ * 報告中單一 IP 的風險評分
+ */
+function reportRisk(riskInfo) {
+  return {
+    score: riskInfo.score,
+    label: riskText(riskInfo.score).label,
+    source: riskInfo.source,
+    strategy: args.riskStrategy,
+    spread: riskInfo.spread,
+    disagree: riskInfo.disagree,
+    providers: riskInfo.providers.map(p => ({ ...p, updatedAt: new Date(p.ts).toISOString() }))
+  };
+}
+
+/**
+ * 建構風險評分來源表格（每個來源一行）
+ */
+function htmlRiskTable(risk, mark) {
+  return htmlTable(t("report.riskSources", { strategy: t("strategy." + risk.strategy), spread: risk.spread + (risk.disagree ? " ⚠ " + t("disagree") : "") }) + mark,
+    risk.providers.map(p => [p.name, (p.score === null ? "✕ " + t("noResponse") : p.score) + (p.cached ? t("cached", { age: p.updatedAt }) : "")]));
+}
+
+function escapeHTML(text) {
+  return String(text ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * 建構報告 HTML 表格：rows 為 [標題, 內容] 陣列
+ */
+function htmlTable(title, rows) {
+  const body = rows.map(([k, v]) => "<tr><th>" + escapeHTML(k) + "</th><td>" + escapeHTML(v) + "</td></tr>").join("");
+  return "<h2>" + escapeHTML(title) + "</h2><table>" + (body || "<tr><td>—</td></tr>") + "</table>";
+}
+
+/**
+ * 建構單一 IP 的地理來源表格（每個來源一行）
+ */
+function htmlGeoTable(title, section) {
+  if (!section) return "";
+  const rows = [
+    ["IP", section.ip],
+    ...(section.source ? [[t("report.ipSource"), section.source]] : []),
+    ...(section.local && formatLocalNetwork(section.local, false) ? [[t("netContext"), formatLocalNetwork(section.local, false)]] : []),
+    ["ASN", section.asn.asn ? "AS" + section.asn.asn + " " + section.asn.name : "—"],
+    [t("report.prefix"), section.asn.prefix || "—"],
+    [t("report.asnType"), section.asn.type ? t("asnType." + section.asn.type) : "—"],
+    [t("report.abuseCountry"), section.asn.abuseCountry ? (flag(section.asn.abuseCountry) + " " + section.asn.abuseCountry) : "—"],
+    [t("report.adopted"), formatGeo(section.geo?.country_code, section.geo?.city, section.geo?.region, section.geo?.country_name) + " · " + (section.geo?.org || "Unknown")],
+    [t("geo.consensus"), t("report.consensus", {
+      flag: flag(section.consensus.country_code),
+      code: section.consensus.country_code,
+      agree: section.consensus.agree,
+      total: section.consensus.total,
+      confidence: t("confidence." + section.consensus.confidence)
+    })],
+    ...formatMismatches(section.consensus).map(line => ["⚠", line.slice(2)]),
+    ...Object.entries(section.sources).map(([name, info]) => [
+      name,
+      info ? formatGeo(info.country_code, info.city, info.region, info.country_name).trim() + " · " + (info.org || "Unknown") : t("report.noData")
+    ])
+  ];
+  return htmlTable(title, rows);
+}
+
+function buildReportHTML(report) {
+  const risk = report.risk;
+  const sections = [
+    htmlTable(t("report.summary"), [
+      [t("report.generatedAt"), report.generatedAt],
+      [t("report.app"), report.app],
+      [t("report.policy"), report.policy.name + (report.policy.lastStored && report.policy.lastStored !== report.policy.name ? t("report.lastStored", { policy: report.policy.lastStored }) : "")],
+      ...(report.policy.path.length ? [[t("route"), formatRoute(report.policy)]] : []),
+      [t("risk"), (risk.score === null ? "" : risk.score + "% ") + risk.label + " (" + risk.source + ")"],
+      [t("ipType"), report.ipType.type + " | " + report.ipType.source],
+      ...(report.risk6 ? [[t("risk") + "⁶", (report.risk6.score === null ? "" : report.risk6.score + "% ") + report.risk6.label + " (" + report.risk6.source + ")"]] : []),
+      ...(report.ipType6 ? [[t("ipType") + "⁶", report.ipType6.type]] : []),
+      ...report.rules.violations.map(v => [t("report.violation"), v])
+    ]),
+    htmlRiskTable(risk, report.risk6 ? "⁴" : ""),
+    report.risk6 ? htmlRiskTable(report.risk6, "⁶") : "",
+    htmlGeoTable(t("inIP"), report.inbound),
+    htmlGeoTable(t("report.outbound4"), report.outbound),
+    htmlGeoTable(t("report.outbound6"), report.ipv6),
+    report.dnsbl ? htmlTable(t("report.tableTitle", { title: t("dnsbl"), summary: formatDNSBL(report.dnsbl) }), report.dnsbl.zones.map(z => [z.zone,
+      t("dnsbl.status." + z.status) + (z.codes.length ? " " + z.codes.join(", ") : "")])) : "",
+    report.dnsLeak ? htmlTable(t("report.tableTitle", { title: t("dnsLeak"), summary: formatDNSLeak(report.dnsLeak) }), report.dnsLeak.resolvers.map(r => [r.ip,
+      formatGeo(r.geo?.country_code, r.geo?.city, r.geo?.region, r.geo?.country_name).trim() + " · " + (r.geo?.org || "Unknown") + (r.foreign ? " ⚠" : "")])) : "",
+    report.unlocks.length ? htmlTable(t("unlock"), report.unlocks.map(u => [u.name, t("unlock." + u.status) + (u.region ? " " + u.region : "") + (u.note ? " " + u.note : "")])) : "",
+    htmlTable(t("report.rules"), report.rules.rules.map((r, i) => ["#" + (i + 1), r])),
+    htmlTable(t("report.cache"), report.cache.map(e => [e.ip, Object.entries(e.providers).map(([n, p]) => n + " " + p.score + " @ " + p.updatedAt).join(", ")])),
+    htmlTable(t("report.history"), [
+      [t("report.lastEvent"), report.history.lastEvent ? [report.history.lastEvent.inIP, report.history.lastEvent.outIP, report.history.lastEvent.outIP6].filter(Boolean).join(" → ") : "—"],
+      [t("report.lastAlert"), report.history.lastAlert || "—"]
+    ]),
+    report.history.transitions.length ? htmlTable(t("report.transitions"), report.history.transitions.slice().reverse().map(h => [h.at,
+      [[h.inIP, h.outIP, h.outIP6].filter(Boolean).join(" → "), h.policy, h.risk === null ? "" : h.risk + "%", formatNetwork(h.network)].filter(Boolean).join(" · ")])) : ""
+  ];
+
+  return "<!DOCTYPE html><html lang=\"" + args.uiLang + "\"><head><meta charset=\"utf-8\">"
+    + "<meta name=\"viewport\" content=\"width=device-width,initial-scale=1\"><title>IP Security Report</title>"
+    + "<style>body{font:14px -apple-system,sans-serif;margin:16px;color:#222}h1{font-size:20px}h2{font-size:16px;margin-top:24px}"
+    + "table{border-collapse:collapse;width:100%}th,td{border-bottom:1px solid #ddd;padding:6px;text-align:left;vertical-align:top}"
+    + "th{width:30%;color:#555;font-weight:500}@media(prefers-color-scheme:dark){body{background:#111;color:#eee}th{color:#aaa}th,td{border-color:#333}}</style>"
+    + "</head><body><h1>IP Security Report</h1>" + sections.join("")
+    + "<p><a href=\"?format=json\">JSON</a> · <a href=\"?force_refresh=1\">" + t("report.refresh") + "</a></p></body></html>";
+}
+
+/**
+ * 依 format 參數以 HTML 或 JSON 回應報告
+ */
+function respondReport(report) {
+  finished = true;
+  if (args.format === "json") {
+    return ENV.respond(200, { "Content-Type": "application/json; charset=utf-8" }, JSON.stringify(report, null, 2));
+  }
+  ENV.respond(200, { "Content-Type": "text/html; charset=utf-8" }, buildReportHTML(report));
+}
+
+/**
+ * 報告模式下的錯誤回應（逾時、IP 取得失敗）
+ */
+function respondReportError(o) {
+  if (args.format === "json") {
+    return ENV.respond(503, { "Content-Type": "application/json; charset=utf-8" }, JSON.stringify({ error: o.title, message: o.content }));
+  }
+  ENV.respond(503, { "Content-Type": "text/html; charset=utf-8" },
+    "<!DOCTYPE html><html lang=\"" + args.uiLang + "\"><head><meta charset=\"utf-8\"><title>IP Security Report</title></head><body><h1>"
+    + escapeHTML(o.title) + "</h1><p>" + escapeHTML(o.content) + "</p></body></html>");
+}
+
+// ==================== 節點審計 ====================
+/**
+ * 取得要審計的節點清單（遞迴展開子策略組，排除內建策略並去重）
+ * @returns {Promise<{groups: string[], nodes: string[]}|null>} 無法取得策略組時回傳 null
+ */
+async function listAuditNodes() {
+  const groupMap = await surgeAPI("GET", "/v1/policy_groups");
+  if (!groupMap || typeof groupMap !== "object") return null;
+
+  const groups = args.auditGroups.length
+    ? args.auditGroups.filter(g => groupMap[g])
+    : Object.keys(groupMap);
+  const nodes = [];
+  const visited = new Set();
+
+  function expand(group) {
+    if (visited.has(group)) return;
+    visited.add(group);
+    for (const member of groupMap[group] || []) {
+      const name = member.name;
+      if (member.isGroup || groupMap[name]) {
+        expand(name);
+      } else if (!CONFIG.builtinPolicies.includes(name) && !nodes.includes(name)) {
+        nodes.push(name);
+      }
+    }
+  }
+
+  groups.forEach(expand);
+  return { groups, nodes };
+}
+
+/**
+ * 透過指定節點檢測出口 IP、地理、電信商與風控值
+ */
+async function probeNode(node) {
+  const exit = await withTimeout(httpJSON(CONFIG.urls.outboundIP, node), CONFIG.audit.probeTimeout);
+  if (!exit?.ip) {
+    console.log("節點 " + node + " 出口 IP 取得失敗");
+    return { node, ok: false };
+  }
+
+  const [geoRaw, riskInfo] = await Promise.all([
+    withTimeout(httpJSON(CONFIG.urls.ipInfo(exit.ip), node), CONFIG.audit.probeTimeout),
+    withTimeout(getRiskScore(exit.ip, node), CONFIG.audit.probeTimeout)
+  ]);
+  const info = normalizeIpInfo(geoRaw) || normalizeIpSb(exit);
+  console.log("節點 " + node + ": " + exit.ip + " " + (info?.country_code || "") + " " + (riskInfo ? riskInfo.score + "% (" + riskInfo.source + ")" : "風控逾時"));
+
+  return { node, ok: true, ip: exit.ip, info, riskInfo, raw: { exit, geo: geoRaw } };
+}
+
+/**
+ * 建構審計結果表格（每節點一行：節點｜出口 IP｜地區｜電信商｜風控值）
+ */
+function buildAuditContent(rows, isMask) {
+  const m = (ip) => isMask ? maskIP(ip) : ip;
+  return rows.map(r => {
+    if (!r.ok) return r.node + "｜" + t("audit.nodeFailed");
+    const risk = r.riskInfo
+      ? formatRiskScore(r.riskInfo, riskText(r.riskInfo.score)) + (r.riskInfo.disagree ? " ⚠" : "")
+      : t("audit.riskTimeout");
+    return [
+      r.node,
+      m(r.ip),
+      formatGeo(r.info?.country_code, r.info?.country_code),
+      r.info?.org || "Unknown",
+      risk
+    ].join("｜");
+  }).join("\n");
+}
+
+/**
+ * 審計模式：逐一透過各策略組節點檢測並輸出節點表格
+ */
+async function runAudit() {
+  console.log("=== 節點審計開始 ===");
+
+  if (!ENV.supports.api || !ENV.supports.policy) {
+    return done({ title: t("audit.unsupportedTitle"), content: t("audit.unsupportedContent", { app: ENV.app }), icon: "leaf", "icon-color": "#9E9E9E" });
+  }
+
+  const list = await listAuditNodes();
+  if (!list) {
+    return done({ title: t("audit.failTitle"), content: t("audit.failContent"), icon: "leaf", "icon-color": "#9E9E9E" });
+  }
+  if (!list.nodes.length) {
+    return done({ title: t("audit.emptyTitle"), content: t("audit.emptyContent"), icon: "leaf", "icon-color": "#9E9E9E" });
+  }
+  console.log("審計策略組: " + list.groups.join(", ") + "，共 " + list.nodes.length + " 個節點");
+
+  const rows = await mapLimit(list.nodes, CONFIG.audit.concurrency, probeNode);
+  const scores = rows.filter(r => r.riskInfo && r.riskInfo.score !== null).map(r => r.riskInfo.score);
+  const worst = scores.length ? Math.max(...scores) : null;
+
+  console.log("=== 審計完成 ===");
+  done({
+    title: t("audit.title", { groups: list.groups.join(", "), ok: rows.filter(r => r.ok).length, total: rows.length }),
+    content: buildAuditContent(rows, args.maskIP),
+    icon: "checklist",
+    "icon-color": worst === null ? "#9E9E9E" : riskText(worst).color
+  });
+}
+
+// ==================== 自動選擇（cron） ====================
+/**
+ * 檢測候選節點並計分：風控值 + IP 類型加權，無風控值時 score 為 null
+ * IP 類型與面板相同，透過該節點查詢 IPPure，失敗或逾時時依 ASN 類型判斷
+ */
+async function probeCandidate(node) {
+  const row = await probeNode(node);
+  if (!row.ok) return row;
+  const networkQuery = getNetworkInfo(row.ip, row.raw.exit, row.raw.geo);
+  const typeResult = await withTimeout(getIPType(networkQuery, node), CONFIG.audit.probeTimeout);
+  const { ipType } = typeResult || ipTypeFromASN(await networkQuery);
+  const risk = row.riskInfo?.score ?? null;
+  return { ...row, ipType, score: risk === null ? null : risk + CONFIG.autoselect.typePenalty[ipType] };
+}
+
+/**
+ * 候選節點摘要：JP 12（住宅 IP）
+ */
+function candidateText(r) {
+  return t("auto.candidate", { node: r.node, score: r.score ?? "—", type: t("type." + r.ipType) });
+}
+
+/**
+ * 為單一 select 策略組挑選分數最低的節點，超過遲滯門檻時切換
+ * 違反出口規則（規則策略可為策略組或節點）或無法連線的節點不列入候選
+ * @returns {Promise<{group: string, current: string|null, best: Object|null, switched: boolean, line: string}>}
+ */
+async function autoSelectGroup(group, groupMap, state) {
+  const members = (groupMap[group] || []).map(m => m.name).filter(name => !CONFIG.builtinPolicies.includes(name));
+  const current = (await surgeAPI("GET", "/v1/policy_groups/select?group_name=" + encodeURIComponent(group)))?.policy || null;
+  const rules = loadRules();
+
+  const rows = await mapLimit(members, CONFIG.audit.concurrency, probeCandidate);
+  rows.filter(r => r.ok).forEach(r => {
+    r.violations = evaluateRules(rules, { policy: group, policies: [group, r.node], country: r.info?.country_code, risk: r.riskInfo?.score ?? null });
+  });
+  const eligible = rows.filter(r => r.ok && r.score !== null && !r.violations.length).sort((a, b) => a.score - b.score);
+  const best = eligible[0] || null;
+  const cur = rows.find(r => r.node === current);
+  const keep = (reason) => {
+    console.log(group + " 維持 " + (current || "—") + "：" + reason);
+    return { group, current, best, switched: false, line: t("auto.kept", { group, node: current || "—", reason }) };
+  };
+
+  if (!best) return keep(t("auto.reason.noCandidate"));
+  if (best.node === current) return keep(t("auto.reason.best"));
+
+  // 目前節點無法連線、無分數或違反規則時不受遲滯限制
+  let why;
+  if (!cur) why = t("auto.why.unknown");
+  else if (!cur.ok) why = t("auto.why.failed", { node: cur.node });
+  else if (cur.violations.length) why = t("auto.why.rule", { node: cur.node, reason: cur.violations[0].reason });
+  else if (cur.score === null) why = t("auto.why.noScore", { node: cur.node });
+  else {
+    const diff = cur.score - best.score;
+    if (diff < args.hysteresis) return keep(t("auto.reason.margin", { diff, hysteresis: args.hysteresis }));
+    const since = Date.now() - (state[group]?.ts || 0);
+    if (since < CONFIG.autoselect.minInterval) return keep(t("auto.reason.recent", { min: Math.round(CONFIG.autoselect.minInterval / 60000) }));
+    why = t("auto.why.better", { from: cur.score, to: best.score, diff });
+  }
+
+  const res = await surgeAPI("POST", "/v1/policy_groups/select", { group_name: group, policy: best.node });
+  if (!res) return keep(t("auto.reason.switchFailed"));
+  // 切換後立即保存，其他策略組檢測逾時也不會遺失切換時間（遲滯判斷依此）
+  state[group] = { ts: Date.now(), from: current, to: best.node, score: best.score };
+  ENV.write(JSON.stringify(state), CONFIG.storeKeys.autoSelect);
+  console.log(group + " 切換：" + (current || "—") + " → " + best.node + "（" + why + "）");
+
+  const m = (ip) => args.maskIP ? maskIP(ip) : ip;
+  ENV.notify(
+    t("auto.switchTitle", { group, from: current || "—", to: best.node }),
+    "🅟 " + m(best.ip) + " " + formatGeo(best.info?.country_code, best.info?.country_code) + " · " + labeled("riskShort", formatRiskScore(best.riskInfo, riskText(best.riskInfo.score))),
+    why + "\n" + t("auto.candidates", { list: eligible.slice(0, 3).map(candidateText).join(" · ") })
+  );
+  return { group, current, best, switched: true, line: t("auto.switched", { group, from: current || "—", to: best.node, why }) };
+}
+
+/**
+ * 自動選擇模式：依序處理 select_group 指定的策略組，切換到分數最低的節點
+ */
+async function runAutoSelect() {
+  console.log("=== 自動選擇開始 ===");
+
+  if (!ENV.supports.api || !ENV.supports.policy) {
+    return done({ title: t("auto.unsupportedTitle"), content: t("audit.unsupportedContent", { app: ENV.app }), icon: "leaf", "icon-color": "#9E9E9E" });
+  }
+  if (!args.selectGroups.length) {
+    return done({ title: t("auto.failTitle"), content: t("auto.noGroups"), icon: "leaf", "icon-color": "#9E9E9E" });
+  }
+
+  const groupMap = await surgeAPI("GET", "/v1/policy_groups");
+  if (!groupMap || typeof groupMap !== "object") {
+    return done({ title: t("auto.failTitle"), content: t("audit.failContent"), icon: "leaf", "icon-color": "#9E9E9E" });
+  }
+
+  const state = readStoredJSON(CONFIG.storeKeys.autoSelect) || {};
+  const results = [];
+  // 逐組處理，避免同時對大量節點發出請求
+  for (const group of args.selectGroups.filter(g => groupMap[g])) {
+    results.push(await autoSelectGroup(group, groupMap, state));
+  }
+
+  console.log("=== 自動選擇完成 ===");
+  done({
+    title: t("auto.title", { groups: results.map(r => r.group).join(", ") }),
+    content: results.map(r => r.line).join("\n"),
+    icon: "arrow.triangle.swap",
+    "icon-color": results.some(r => r.switched) ? CONFIG.riskLevels[1].color : "#9E9E9E"
+  });
+}
+
+// ==================== 健康日報（cron） ====================
+function readDigestSeries() {
+  const series = readStoredJSON(CONFIG.storeKeys.digestSeries);
+  return Array.isArray(series) ? series : [];
+}
+
+/**
+ * 檢測目前出口並加入時間序列（保留最近 CONFIG.digest.size 筆）
+ * @returns {Promise<{ts: number, ip: string|null, policy: string, risk: number|null, type: string, failed: string[]}>}
+ */
+async function recordDigestSample() {
+  const exit = await httpJSON(markProbe(CONFIG.urls.outboundIP));
+  const ip = exit?.ip || null;
+  let sample;
+  if (!ip) {
+    sample = { ts: Date.now(), ip: null, policy: (await getPolicy()).name, risk: null, type: "unknown", failed: ["ip.sb"] };
+  } else {
+    const networkQuery = getNetworkInfo(ip, exit, httpJSON(CONFIG.urls.ipInfo(ip)));
+    const [route, riskInfo, typeResult] = await Promise.all([getPolicy(), getRiskScore(ip), getIPType(networkQuery)]);
+    sample = {
+      ts: Date.now(),
+      ip,
+      policy: route.name,
+      risk: riskInfo.score,
+      type: typeResult.ipType,
+      failed: riskInfo.providers.filter(p => p.score === null).map(p => p.name)
+    };
+  }
+  const stored = { ...sample, ip: storedIP(sample.ip) };
+  ENV.write(JSON.stringify([...readDigestSeries(), stored].slice(-CONFIG.digest.size)), CONFIG.storeKeys.digestSeries);
+  return sample;
+}
+
+/**
+ * 是否該送出日報：本地時間已過 digest_hour，且今天尚未送出
+ * 首次執行只記下時間，累積一天的紀錄後才送出第一份日報
+ */
+function isDigestDue() {
+  const now = new Date();
+  const last = Number(ENV.read(CONFIG.storeKeys.lastDigest));
+  if (!last) {
+    ENV.write(String(Date.now()), CONFIG.storeKeys.lastDigest);
+    return false;
+  }
+  return now.getHours() >= args.digestHour && new Date(last).toDateString() !== now.toDateString();
+}
+
+/**
+ * 彙整時間序列：出口 IP 數、各策略平均與最差風控值（與更早紀錄比較趨勢）、IP 類型時間占比、各來源失敗次數
+ * 每筆紀錄代表到下一筆為止的時間，cron 間隔固定時占比即為時間比例
+ */
+function buildDigest(series) {
+  const since = Date.now() - CONFIG.digest.window;
+  const recent = series.filter(s => s.ts >= since);
+  const earlier = series.filter(s => s.ts < since);
+  const average = (list) => Math.round(list.reduce((a, b) => a + b, 0) / list.length);
+  const scores = (list, policy) => list.filter(s => s.policy === policy && s.risk !== null).map(s => s.risk);
+
+  const policies = [...new Set(recent.map(s => s.policy))].map(policy => {
+    const current = scores(recent, policy);
+    const before = scores(earlier, policy);
+    if (!current.length) return null;
+    const avg = average(current);
+    const delta = before.length ? avg - average(before) : 0;
+    const worst = Math.max(...current);
+    return {
+      policy,
+      worst,
+      line: t("digest.policy", {
+        policy,
+        avg,
+        worst,
+        trend: Math.abs(delta) >= CONFIG.digest.trend ? (delta > 0 ? " ↑" : " ↓") + Math.abs(delta) : ""
+      })
+    };
+  }).filter(Boolean).sort((a, b) => b.worst - a.worst).slice(0, CONFIG.digest.maxPolicies);
+
+  const count = (values) => values.reduce((map, v) => ({ ...map, [v]: (map[v] || 0) + 1 }), {});
+  const types = Object.entries(count(recent.map(s => s.type))).sort((a, b) => b[1] - a[1])
+    .map(([type, n]) => t("type." + type) + " " + Math.round(n / recent.length * 100) + "%");
+  const failures = Object.entries(count(recent.flatMap(s => s.failed || []))).sort((a, b) => b[1] - a[1])
+    .map(([name, n]) => name + " " + n);
+
+  return {
+    subtitle: t("digest.subtitle", { runs: recent.length, ips: new Set(recent.map(s => s.ip).filter(Boolean)).size }),
+    body: [
+      ...policies.map(p => p.line),
+      t("digest.types", { list: types.join(" · ") }),
+      t("digest.failures", { list: failures.join(" · ") || t("digest.none") })
+    ].join("\n")
+  };
+}
+
+/**
+ * 日報模式：每次執行記錄一筆樣本，每天 digest_hour 之後第一次執行時送出前 24 小時的日報
+ */
+async function runDigest() {
+  console.log("=== 健康日報紀錄 ===");
+  if (args.digestHour === null) {
+    console.log("未設定 digest_hour，略過");
+    return done({});
+  }
+  const sample = await recordDigestSample();
+  console.log("樣本: " + (sample.ip || "失敗") + " " + sample.policy + " " + (sample.risk ?? "-") + " " + sample.type);
+
+  if (isDigestDue()) {
+    const digest = buildDigest(readDigestSeries());
+    const now = new Date();
+    const date = now.getFullYear() + "-" + String(now.getMonth() + 1).padStart(2, "0") + "-" + String(now.getDate()).padStart(2, "0");
+    ENV.notify(t("digest.title", { date }), digest.subtitle, digest.body);
+    ENV.write(String(Date.now()), CONFIG.storeKeys.lastDigest);
+    console.log("=== 已送出健康日報 ===");
+  }
+
+  const m = (ip) => args.maskIP ? maskIP(ip) : ip;
+  done({
+    title: t("digest.recordTitle"),
+    content: sample.ip
+      ? [m(sample.ip), sample.policy, labeled("riskShort", formatRiskScore({ score: sample.risk }, riskText(sample.risk))), t("type." + sample.type)].join(" · ")
+      : t("digest.recordFailed"),
+    icon: "chart.bar",
+    "icon-color": riskText(sample.risk).color
+  });
+}
+
 // ==================== 主執行函式 ====================
 (async () => {
+  if (args.mode === "audit") return runAudit();
+  if (args.mode === "autoselect") return runAutoSelect();
+  if (args.mode === "digest") return runDigest();
+
   console.log("=== IP 安全檢測開始 ===");
 
-  // 1. EVENT 觸發時延遲等待網路穩定
-  if (args.isEvent && args.eventDelay > 0) {
-    console.log("等待網路穩定 " + args.eventDelay + " 秒");
-    await wait(args.eventDelay * 1000);
+  // 1. EVENT 觸發時延遲等待網路穩定，期間有較新的事件則交由其檢測
+  if (args.isEvent) {
+    registerEvent();
+    if (args.eventDelay > 0) {
+      console.log("等待網路穩定 " + args.eventDelay + " 秒");
+      await wait(args.eventDelay * 1000);
+    }
+    if (isSupersededEvent()) {
+      console.log("延遲期間有較新的網路變更事件，合併略過");
+      return done({});
+    }
   }
 
   // 2. 取得入口／出口 IP
-  const { inIP, outIP, outIPv6, inRaw, outRaw, v6Raw } = await fetchIPs();
+  const { inIP, inSource, outIP, outIPv6, inRaw, outRaw, v6Raw } = await fetchIPs();
 
   if (!inIP || !outIP) {
     console.log("IP 取得失敗");
-    return done({ title: "IP 取得失敗", content: "無法取得入口或出口 IPv4", icon: "leaf", "icon-color": "#9E9E9E" });
+    return done({ title: t("ipFailTitle"), content: t("ipFailContent"), icon: "leaf", "icon-color": "#9E9E9E" });
   }
   console.log("入口 IP: " + inIP + ", 出口 IP: " + outIP);
 
   // 3. EVENT 模式下檢查 IP 是否變更
   if (!checkIPChange(inIP, outIP, outIPv6)) {
+    // IP 未變更時仍檢查黑名單，新列入時送出警示
+    const dnsbl = await checkDNSBL(outIP);
+    const newListings = newDNSBLListings(dnsbl, outIP);
+    if (newListings.length) sendDNSBLAlert({ policy: policyLabel(await getPolicy()), outIP, isMask: args.maskIP, dnsbl, newListings });
     return done({});
   }
 
   // 4. 並行取得：代理策略、風險評分、IP 類型、地理／電信商資訊
   const isZh = args.lang === "zh";
 
-  // 兩種模式都查 ipinfo.io（出口），zh 額外查 bilibili（中文地名）
+  // 兩種模式都查 ipinfo.io（出口），zh 與報告額外查 bilibili（中文地名）
+  const withBili = isZh || args.isRequest;
+  const inSbQuery = httpJSON(CONFIG.urls.inboundInfo(inIP));
+  const outIpInfoQuery = httpJSON(CONFIG.urls.ipInfo(outIP));
+  const v6IpInfoQuery = outIPv6 ? httpJSON(CONFIG.urls.ipInfo(outIPv6)) : null;
+  // ASN 與網段（出口結果亦供 IP 類型回落判斷）
+  const networkQueries = {
+    inbound: getNetworkInfo(inIP, inSbQuery, null),
+    outbound: getNetworkInfo(outIP, outRaw, outIpInfoQuery),
+    ipv6: outIPv6 ? getNetworkInfo(outIPv6, v6Raw, v6IpInfoQuery) : null
+  };
   const queries = [
-    getPolicy(),                             // 0
-    getRiskScore(outIP),                     // 1
-    getIPType(),                             // 2
-    httpJSON(CONFIG.urls.inboundInfo(inIP)), // 3: ip.sb 入口
-    httpJSON(CONFIG.urls.ipInfo(outIP))      // 4: ipinfo 出口（兩種模式都用）
+    getPolicy(),                                // 0
+    getRiskScore(outIP),                        // 1
+    getIPType(networkQueries.outbound),         // 2
+    inSbQuery,                                  // 3: ip.sb 入口
+    outIpInfoQuery,                             // 4: ipinfo 出口（兩種模式都用）
+    withBili ? httpJSON(CONFIG.urls.biliGeo(outIP)) : null,                      // 5: bilibili 出口
+    v6IpInfoQuery,                                                               // 6: ipinfo IPv6
+    outIPv6 && withBili ? httpJSON(CONFIG.urls.biliGeo(outIPv6)) : null,         // 7: bilibili IPv6
+    outIPv6 ? getRiskScore(outIPv6) : null,                                      // 8: IPv6 風險評分
+    outIPv6 ? getIPv6Type(outIPv6, networkQueries.ipv6) : null,                  // 9: IPv6 類型
+    networkQueries.inbound,                                                      // 10: 入口 ASN
+    networkQueries.outbound,                                                     // 11: 出口 ASN
+    networkQueries.ipv6,                                                         // 12: IPv6 ASN
+    checkDNSBL(outIP),                                                           // 13: DNSBL 黑名單
+    runDNSLeakTest(isZh)                                                         // 14: DNS 洩漏測試
   ];
-  if (isZh) queries.push(httpJSON(CONFIG.urls.biliGeo(outIP)));  // 5: bilibili 出口（zh）
-  const v6Idx = queries.length;
-  if (outIPv6) {
-    queries.push(httpJSON(CONFIG.urls.ipInfo(outIPv6)));           // v6Idx: ipinfo IPv6
-    if (isZh) queries.push(httpJSON(CONFIG.urls.biliGeo(outIPv6))); // v6Idx+1: bilibili IPv6（zh）
-  }
 
-  const results = await Promise.all(queries);
-  const [policy, riskInfo, ipTypeResult, inSbRaw, outIpInfoRaw] = results;
+  // 服務解鎖僅在面板與報告顯示，與其他查詢並行
+  const unlockQuery = !args.isEvent && args.unlock.length ? checkUnlocks() : Promise.resolve([]);
+
+  const [route, riskInfo, ipTypeResult, inSbRaw, outIpInfoRaw, outBiliRaw, v6IpInfoRaw, v6BiliRaw, riskInfo6, ipTypeResult6, inNet, outNet, v6Net, dnsbl, leakResult] = await Promise.all(queries);
+  const network = { inbound: inNet, outbound: outNet, ipv6: v6Net };
+  const policy = policyLabel(route);
+
+  // 各來源正規化後的地理資訊（報告顯示全部來源）
+  const sources = {
+    inbound: { bilibili: normalizeBilibili(inRaw), ipsb: normalizeIpSb(inSbRaw) },
+    outbound: { bilibili: normalizeBilibili(outBiliRaw), ipinfo: normalizeIpInfo(outIpInfoRaw), ipsb: normalizeIpSb(outRaw) },
+    ipv6: outIPv6 ? { bilibili: normalizeBilibili(v6BiliRaw), ipinfo: normalizeIpInfo(v6IpInfoRaw), ipsb: normalizeIpSb(v6Raw) } : null
+  };
 
   let inInfo, outInfo, ipv6Info;
   if (isZh) {
-    const outBiliRaw = results[5];
-    const v6IpInfoRaw = outIPv6 ? results[v6Idx] : null;
-    const v6BiliRaw = outIPv6 ? results[v6Idx + 1] : null;
-
-    // 入口：地區用 bilibili，電信商僅中國用 bilibili，非中國用 ip.sb
-    const inBili = normalizeBilibili(inRaw);
-    const inSb = normalizeIpSb(inSbRaw);
-    if (inBili) {
-      const isChina = inBili.country_name === "中國";
-      inInfo = { ...inBili, country_code: inSb?.country_code || "", org: isChina ? inBili.org : (inSb?.org || "") };
-    } else {
-      inInfo = inSb;
-    }
-
-    // 出口：地區用 bilibili，電信商僅中國用 bilibili，非中國用 ipinfo.io（回落 ip.sb）
-    const outBili = normalizeBilibili(outBiliRaw);
-    const outIpInfo = normalizeIpInfo(outIpInfoRaw);
-    const outSb = normalizeIpSb(outRaw);
-    if (outBili) {
-      const isOutChina = outBili.country_name === "中國";
-      outInfo = { ...outBili, country_code: outIpInfo?.country_code || outSb?.country_code || "", org: isOutChina ? outBili.org : (outIpInfo?.org || outSb?.org || "") };
-    } else {
-      outInfo = outIpInfo || outSb;
-    }
-
-    // IPv6：同上邏輯
-    const v6Bili = normalizeBilibili(v6BiliRaw);
-    const v6IpInfo = normalizeIpInfo(v6IpInfoRaw);
-    const v6Sb = outIPv6 ? normalizeIpSb(v6Raw) : null;
-    if (outIPv6) {
-      if (v6Bili) {
-        const isV6China = v6Bili.country_name === "中國";
-        ipv6Info = { ...v6Bili, country_code: v6IpInfo?.country_code || v6Sb?.country_code || "", org: isV6China ? v6Bili.org : (v6IpInfo?.org || v6Sb?.org || "") };
-      } else {
-        ipv6Info = v6IpInfo || v6Sb;
-      }
-    } else {
-      ipv6Info = null;
-    }
+    // 地區用 bilibili，電信商僅中國用 bilibili；入口非中國用 ip.sb，出口非中國用 ipinfo.io（回落 ip.sb）
+    inInfo = mergeBilibili(sources.inbound.bilibili, [sources.inbound.ipsb]);
+    outInfo = mergeBilibili(sources.outbound.bilibili, [sources.outbound.ipinfo, sources.outbound.ipsb]);
+    ipv6Info = outIPv6 ? mergeBilibili(sources.ipv6.bilibili, [sources.ipv6.ipinfo, sources.ipv6.ipsb]) : null;
   } else {
     // 英文模式：入口用 ip.sb，出口用 ipinfo.io（回落 ip.sb）
-    const v6IpInfoRaw = outIPv6 ? results[v6Idx] : null;
-    inInfo = normalizeIpSb(inSbRaw);
-    outInfo = normalizeIpInfo(outIpInfoRaw) || normalizeIpSb(outRaw);
-    ipv6Info = outIPv6 ? (normalizeIpInfo(v6IpInfoRaw) || normalizeIpSb(v6Raw)) : null;
+    inInfo = sources.inbound.ipsb;
+    outInfo = sources.outbound.ipinfo || sources.outbound.ipsb;
+    ipv6Info = outIPv6 ? (sources.ipv6.ipinfo || sources.ipv6.ipsb) : null;
   }
 
+  // 比對各來源的國家與電信商（不一致可能為廣播 IP）
+  const geo = {
+    inbound: reconcileGeo(sources.inbound),
+    outbound: reconcileGeo(sources.outbound),
+    ipv6: outIPv6 ? reconcileGeo(sources.ipv6) : null
+  };
+  Object.entries(geo).filter(([, g]) => g?.mismatches.length)
+    .forEach(([name, g]) => console.log("地理來源不一致 " + name + ": " + JSON.stringify(g.mismatches)));
+
+  // privacy=city 以上清除城市與省／州（比對完成後才清除，bilibili 的省份仍用於判斷國家）
+  [inInfo, outInfo, ipv6Info] = [inInfo, outInfo, ipv6Info].map(privacyGeo);
+  Object.values(sources).filter(Boolean).forEach(group => {
+    Object.keys(group).forEach(name => { group[name] = privacyGeo(group[name]); });
+  });
+
   const riskResult = riskText(riskInfo.score);
-  const { ipType, ipSrc } = ipTypeResult;
+  const ipType = t("type." + ipTypeResult.ipType);
+  const ipSrc = t("type." + ipTypeResult.ipSrc);
+  const ipType6 = ipTypeResult6 ? t("type." + ipTypeResult6.ipType) : null;
+  // 面板圖示顏色取 IPv4／IPv6 中較差者
+  const worstColor = riskText(worseScore(riskInfo.score, riskInfo6?.score)).color;
 
   // 5. 依觸發類型輸出結果
   const isMask = args.maskIP;
-  const context = { isZh, isMask, policy, riskInfo, riskResult, ipType, ipSrc, inIP, outIP, outIPv6, inInfo, outInfo, ipv6Info };
+  const unlocks = await unlockQuery;
+
+  // 檢查出口規則，違規內容與上次相同時不重複警示
+  // 策略未確認時 route.name 只是上次紀錄，略過指定策略的規則，僅檢查 * 規則（名稱已標示未確認）
+  const rules = loadRules();
+  if (!route.certain && rules.some(r => r.target !== "*")) console.log("代理策略未確認，略過指定策略的出口規則");
+  const violations = evaluateRules(rules, {
+    policy,
+    policies: route.certain ? [route.name, ...route.path] : [],
+    country: outInfo?.country_code,
+    risk: riskInfo.score
+  });
+  violations.forEach(v => console.log("規則違反: " + v.reason));
+  const shouldAlert = !args.isRequest && isNewViolation(violations, outIP);
+  const newListings = args.isRequest ? [] : newDNSBLListings(dnsbl, outIP);
+  const dnsLeak = compareResolvers(leakResult, outInfo?.country_code);
+  const local = localNetwork(inIP);
+  if (local.network) console.log("本機網路: " + formatLocalNetwork(local, false));
+  const history = args.isEvent
+    ? recordTransition({
+      ts: Date.now(), inIP: storedIP(inIP), outIP: storedIP(outIP), outIP6: storedIP(outIPv6),
+      policy: privacyAtLeast("strict") ? null : route.name, risk: riskInfo.score,
+      network: local.network && { ssid: privacyAtLeast("strict") ? "" : local.network.ssid, cellular: local.network.cellular }
+    })
+    : readHistory();
+
+  const context = { isZh, isMask, policy, route, riskInfo, riskResult, riskInfo6, ipType, ipSrc, ipType6, inIP, inSource, local, outIP, outIPv6, inInfo, outInfo, ipv6Info, geo, network, dnsbl, newListings, dnsLeak, history, unlocks, violations };
+
+  if (args.isRequest) {
+    console.log("=== 回應報告（" + args.format + "） ===");
+    return respondReport(buildReport({ ...context, sources }));
+  }
+
+  if (shouldAlert) sendRuleAlert(context);
+
+  const cooling = args.isEvent && inNotifyCooldown();
+  if (cooling) console.log("網路變更通知冷卻中，略過通知");
+
+  // 網路變更通知已含黑名單狀態，未送出變更通知時才另送黑名單警示
+  const notifyChange = args.isEvent && !shouldAlert && !args.alertOnly && !cooling;
+  if (newListings.length && !notifyChange) sendDNSBLAlert(context);
 
   if (args.isEvent) {
-    sendNetworkChangeNotification(context);
+    if (notifyChange) {
+      sendNetworkChangeNotification(context);
+      ENV.write(String(Date.now()), CONFIG.storeKeys.lastChangeNotify);
+    }
     done({});
   } else {
     console.log("=== 面板顯示 ===");
     done({
-      title: "代理策略：" + policy,
+      title: t("policyTitle", { policy }),
       content: buildPanelContent(context),
-      icon: "leaf.fill",
-      "icon-color": riskResult.color
+      icon: violations.length ? "exclamationmark.shield.fill" : "leaf.fill",
+      "icon-color": violations.length ? CONFIG.riskLevels.at(-1).color : worstColor
     });
   }
-})();
+})().catch(e => {
+  // 第三方回應格式異常等錯誤立即結束，避免等到全域逾時才顯示誤導的「請求逾時」
+  console.log("執行錯誤: " + (e?.stack || e));
+  done({ title: t("ipFailTitle"), content: t("errorContent", { message: e?.message || String(e) }), icon: "leaf", "icon-color": "#9E9E9E" });
+});
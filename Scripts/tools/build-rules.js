@@ -0,0 +1,362 @@
+/**
+ * Rules/*.list 規則檢查與格式轉換
+ *
+ * 檢查每個清單：不支援的規則類型、重複項目、已被同清單 DOMAIN-SUFFIX／DOMAIN-KEYWORD／較大網段涵蓋的項目、
+ * 格式錯誤的網域、CIDR、連接埠與正規表示式、缺少結尾換行。錯誤（類型、格式）會讓 exit code 為 1，其餘為警告。
+ * 檢查通過後，將同一份規則輸出為其他客戶端可用的格式（客戶端無法表達的規則類型略過，於輸出檔與檢查結果中註明）：
+ *   Rules/Clash/<name>.yaml        Clash／mihomo rule-provider（behavior: classical）
+ *   Rules/QuantumultX/<name>.list  Quantumult X 分流（策略名稱為清單名稱，可用 force-policy 覆寫）
+ *   Rules/Loon/<name>.list         Loon 規則集
+ *   Rules/sing-box/<name>.json     sing-box 規則集原始檔（version 2，可用 sing-box rule-set compile 編譯）
+ *
+ * 用法：
+ *   node Scripts/tools/build-rules.js           # 檢查並輸出所有格式
+ *   node Scripts/tools/build-rules.js --check   # 只檢查，不輸出
+ *   node Scripts/tools/build-rules.js --fix     # 改寫清單：去除行尾空白與重複項目、補上結尾換行
+ */
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+
+const rulesDir = path.join(__dirname, "../../Rules");
+
+// 支援的規則類型（Surge 規則集可用的類型）與各格式的對應名稱（null＝該格式不支援，略過並警告）
+// sing-box 的連接埠範圍另以 port_range／source_port_range 輸出，見 singBoxKey
+const RULE_TYPES = {
+  "DOMAIN": { clash: "DOMAIN", quanx: "HOST", loon: "DOMAIN", singbox: "domain" },
+  "DOMAIN-SUFFIX": { clash: "DOMAIN-SUFFIX", quanx: "HOST-SUFFIX", loon: "DOMAIN-SUFFIX", singbox: "domain_suffix" },
+  "DOMAIN-KEYWORD": { clash: "DOMAIN-KEYWORD", quanx: "HOST-KEYWORD", loon: "DOMAIN-KEYWORD", singbox: "domain_keyword" },
+  "DOMAIN-WILDCARD": { clash: null, quanx: "HOST-WILDCARD", loon: "DOMAIN-WILDCARD", singbox: null },
+  "IP-CIDR": { clash: "IP-CIDR", quanx: "IP-CIDR", loon: "IP-CIDR", singbox: "ip_cidr" },
+  "IP-CIDR6": { clash: "IP-CIDR6", quanx: "IP6-CIDR", loon: "IP-CIDR6", singbox: "ip_cidr" },
+  "IP-ASN": { clash: "IP-ASN", quanx: "IP-ASN", loon: "IP-ASN", singbox: null },
+  "GEOIP": { clash: "GEOIP", quanx: "GEOIP", loon: "GEOIP", singbox: null },
+  "USER-AGENT": { clash: null, quanx: "USER-AGENT", loon: "USER-AGENT", singbox: null },
+  "URL-REGEX": { clash: null, quanx: null, loon: "URL-REGEX", singbox: null },
+  "PROCESS-NAME": { clash: "PROCESS-NAME", quanx: null, loon: null, singbox: "process_name" },
+  "DEST-PORT": { clash: "DST-PORT", quanx: null, loon: "DEST-PORT", singbox: "port" },
+  "SRC-PORT": { clash: "SRC-PORT", quanx: null, loon: null, singbox: "source_port" },
+  "IN-PORT": { clash: "IN-PORT", quanx: null, loon: null, singbox: null }
+};
+
+// 比對 IP 的規則類型，可接 no-resolve
+const IP_TYPES = ["IP-CIDR", "IP-CIDR6", "IP-ASN", "GEOIP"];
+
+// 規則後可接的選項
+const RULE_OPTIONS = ["no-resolve", "extended-matching"];
+
+// 輸出格式：目錄、RULE_TYPES 中的欄位、副檔名與產生函式
+const FORMATS = [
+  { name: "Clash", key: "clash", ext: ".yaml", render: renderClash },
+  { name: "QuantumultX", key: "quanx", ext: ".list", render: renderQuanX },
+  { name: "Loon", key: "loon", ext: ".list", render: renderLoon },
+  { name: "sing-box", key: "singbox", ext: ".json", render: renderSingBox }
+];
+
+function listFiles() {
+  return fs
+    .readdirSync(rulesDir)
+    .filter(file => file.endsWith(".list"))
+    .sort();
+}
+
+// ==================== 解析與驗證 ====================
+function isDomain(value) {
+  return value.length <= 253 && value.split(".").every(label => /^[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?$/i.test(label));
+}
+
+/**
+ * 解析 CIDR，回傳 { version, bits, prefix, hostBits }；格式錯誤時回傳 null
+ * bits 為網路位址的 BigInt 表示，hostBits 表示主機位元不為 0
+ */
+function parseCIDR(value, version) {
+  const match = value.match(/^([^/]+)\/(\d{1,3})$/);
+  if (!match || net.isIP(match[1]) !== version) return null;
+  const width = version === 4 ? 32 : 128;
+  const prefix = Number(match[2]);
+  if (prefix > width) return null;
+
+  let bits = 0n;
+  if (version === 4) {
+    match[1].split(".").forEach(octet => { bits = (bits << 8n) | BigInt(octet); });
+  } else {
+    const [head, tail = ""] = match[1].split("::");
+    const groups = (part) => part ? part.split(":") : [];
+    const h = groups(head), t = groups(tail);
+    // IPv4 結尾的 IPv6 位址（::ffff:1.2.3.4）轉為兩組 16 位元
+    const last = t.length ? t : h;
+    if (last.length && last.at(-1).includes(".")) {
+      const o = last.pop().split(".").map(Number);
+      last.push(((o[0] << 8) | o[1]).toString(16), ((o[2] << 8) | o[3]).toString(16));
+    }
+    const full = match[1].includes("::") ? [...h, ...Array(8 - h.length - t.length).fill("0"), ...t] : h;
+    full.forEach(group => { bits = (bits << 16n) | BigInt("0x" + group); });
+  }
+  const hostMask = (1n << BigInt(width - prefix)) - 1n;
+  return { version, prefix, bits: bits & ~hostMask, hostBits: (bits & hostMask) !== 0n };
+}
+
+// 連接埠或範圍（如 443、8000-8999）
+function isPort(value) {
+  const match = value.match(/^(\d{1,5})(?:-(\d{1,5}))?$/);
+  if (!match) return false;
+  const from = Number(match[1]);
+  const to = match[2] ? Number(match[2]) : from;
+  return from >= 1 && to <= 65535 && from <= to;
+}
+
+function isRegExp(value) {
+  try {
+    new RegExp(value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function cidrContains(outer, inner) {
+  if (outer.version !== inner.version || outer.prefix > inner.prefix) return false;
+  const width = outer.version === 4 ? 32 : 128;
+  const shift = BigInt(width - outer.prefix);
+  return (outer.bits >> shift) === (inner.bits >> shift);
+}
+
+/**
+ * 解析清單內容
+ * @returns {{rules: Object[], errors: string[], warnings: string[]}}
+ *   rules 每項為 { line, type, value, options, cidr }，errors／warnings 為「行號: 說明」
+ */
+function parseList(text) {
+  const rules = [];
+  const errors = [];
+  const warnings = [];
+
+  text.split("\n").forEach((raw, i) => {
+    const line = raw.trim();
+    const at = `第 ${i + 1} 行`;
+    if (!line || line.startsWith("#") || line.startsWith("//")) return;
+    if (raw !== raw.trimEnd()) warnings.push(`${at}: 行尾有空白`);
+
+    const [type, value = "", ...options] = line.split(",").map(part => part.trim());
+    if (!RULE_TYPES[type]) return errors.push(`${at}: 不支援的規則類型 ${type}`);
+    if (!value) return errors.push(`${at}: ${type} 缺少內容`);
+    const unknown = options.filter(option => !RULE_OPTIONS.includes(option));
+    if (unknown.length) errors.push(`${at}: 不支援的選項 ${unknown.join(", ")}`);
+
+    const rule = { line: i + 1, type, value, options };
+    if (type === "DOMAIN" || type === "DOMAIN-SUFFIX") {
+      if (!isDomain(value)) return errors.push(`${at}: 網域格式錯誤 ${value}`);
+      rule.value = value.toLowerCase();
+    } else if (type === "DOMAIN-KEYWORD") {
+      if (/\s/.test(value)) return errors.push(`${at}: 關鍵字不可包含空白 ${value}`);
+      rule.value = value.toLowerCase();
+    } else if (type === "DOMAIN-WILDCARD") {
+      if (!/^[a-z0-9_.*?-]+$/i.test(value)) return errors.push(`${at}: 萬用字元網域格式錯誤 ${value}`);
+      rule.value = value.toLowerCase();
+    } else if (type === "IP-ASN") {
+      if (!/^\d+$/.test(value)) return errors.push(`${at}: ASN 格式錯誤 ${value}`);
+    } else if (type === "GEOIP") {
+      if (!/^[a-z]{2}$/i.test(value)) return errors.push(`${at}: 國家代碼格式錯誤 ${value}`);
+      rule.value = value.toUpperCase();
+    } else if (type === "URL-REGEX") {
+      if (!isRegExp(value)) return errors.push(`${at}: 正規表示式錯誤 ${value}`);
+    } else if (type.endsWith("-PORT")) {
+      if (!isPort(value)) return errors.push(`${at}: 連接埠格式錯誤 ${value}`);
+    } else if (type === "USER-AGENT" || type === "PROCESS-NAME") {
+      // 字串比對，Surge 的 USER-AGENT 可用 * 與 ? 萬用字元
+    } else {
+      rule.cidr = parseCIDR(value, type === "IP-CIDR" ? 4 : 6);
+      if (!rule.cidr) return errors.push(`${at}: ${type} 格式錯誤 ${value}`);
+      if (rule.cidr.hostBits) warnings.push(`${at}: ${value} 的主機位元不為 0`);
+    }
+    rules.push(rule);
+  });
+
+  if (text && !text.endsWith("\n")) warnings.push("檔案結尾缺少換行");
+  return { rules, errors, warnings };
+}
+
+/**
+ * 找出重複項目與被同清單其他規則涵蓋的項目（同一清單使用同一策略，涵蓋的項目永遠不會單獨生效）
+ */
+function findRedundant(rules) {
+  const warnings = [];
+  const seen = new Map();
+  const isHost = (r) => r.type === "DOMAIN" || r.type === "DOMAIN-SUFFIX";
+
+  rules.forEach(rule => {
+    const key = rule.type + "," + rule.value;
+    if (seen.has(key)) {
+      warnings.push(`第 ${rule.line} 行: ${key} 與第 ${seen.get(key)} 行重複`);
+      return;
+    }
+    seen.set(key, rule.line);
+
+    const cover = rules.find(other => other !== rule && other.type + "," + other.value !== key && (
+      (other.type === "DOMAIN-SUFFIX" && isHost(rule) && rule.value.endsWith("." + other.value)) ||
+      (other.type === "DOMAIN-SUFFIX" && rule.type === "DOMAIN" && rule.value === other.value) ||
+      (other.type === "DOMAIN-KEYWORD" && (isHost(rule) || rule.type === "DOMAIN-KEYWORD") && rule.value.includes(other.value)) ||
+      (other.cidr && rule.cidr && cidrContains(other.cidr, rule.cidr) && other.cidr.prefix < rule.cidr.prefix)
+    ));
+    if (cover) warnings.push(`第 ${rule.line} 行: ${key} 已被第 ${cover.line} 行 ${cover.type},${cover.value} 涵蓋`);
+  });
+  return warnings;
+}
+
+/**
+ * --fix：去除行尾空白與完全相同的重複規則、補上結尾換行，保留註解與空行
+ */
+function fixList(text) {
+  const seen = new Set();
+  const lines = text.split("\n").map(line => line.trimEnd()).filter(line => {
+    if (!line || line.startsWith("#") || line.startsWith("//")) return true;
+    const key = line.split(",").map(part => part.trim()).join(",");
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  while (lines.length && !lines.at(-1)) lines.pop();
+  return lines.join("\n") + "\n";
+}
+
+// ==================== 格式轉換 ====================
+// 去除重複後的規則，避免輸出檔重複
+function uniqueRules(rules) {
+  const seen = new Set();
+  return rules.filter(rule => {
+    const key = rule.type + "," + rule.value;
+    return !seen.has(key) && seen.add(key);
+  });
+}
+
+/**
+ * 輸出檔開頭：名稱、來源，以及該格式不支援而略過的規則
+ */
+function header(name, comment, skipped = []) {
+  return [
+    `${comment} NAME: ${name}`,
+    `${comment} 由 Rules/${name}.list 產生，請勿直接編輯`,
+    ...skipped.map(r => `${comment} 略過第 ${r.line} 行（不支援 ${r.type}）: ${r.type},${r.value}`)
+  ].join("\n");
+}
+
+function noResolve(rule) {
+  return IP_TYPES.includes(rule.type) && rule.options.includes("no-resolve") ? ",no-resolve" : "";
+}
+
+function renderClash(name, rules, skipped) {
+  return [
+    header(name, "#", skipped),
+    "payload:",
+    ...rules.map(r => `  - ${RULE_TYPES[r.type].clash},${r.value}${noResolve(r)}`)
+  ].join("\n") + "\n";
+}
+
+function renderQuanX(name, rules, skipped) {
+  return [
+    header(name, "#", skipped),
+    ...rules.map(r => `${RULE_TYPES[r.type].quanx},${r.value},${name}`)
+  ].join("\n") + "\n";
+}
+
+function renderLoon(name, rules, skipped) {
+  return [
+    header(name, "#", skipped),
+    ...rules.map(r => `${RULE_TYPES[r.type].loon},${r.value}${noResolve(r)}`)
+  ].join("\n") + "\n";
+}
+
+/**
+ * sing-box 的欄位與值：連接埠為數字，範圍改用 *_range 欄位（8000:8999）
+ */
+function singBoxKey(rule) {
+  const key = RULE_TYPES[rule.type].singbox;
+  if (!rule.type.endsWith("-PORT")) return [key, rule.value];
+  return rule.value.includes("-") ? [key + "_range", rule.value.replace("-", ":")] : [key, Number(rule.value)];
+}
+
+// sing-box 同一條規則內，網域與 IP 欄位之間為「或」，與其他欄位（連接埠、程序名稱）之間為「且」
+const SINGBOX_OR_KEYS = ["domain", "domain_suffix", "domain_keyword", "ip_cidr"];
+
+/**
+ * 網域與 IP 合為一條規則，其餘欄位各自一條，以保持清單「任一項符合即命中」的語意
+ * JSON 無法加註解，略過的規則只在檢查結果中警告
+ */
+function renderSingBox(name, rules) {
+  const groups = {};
+  rules.forEach(r => {
+    const [key, value] = singBoxKey(r);
+    // port 與 port_range 同屬一組，彼此為「或」
+    const group = SINGBOX_OR_KEYS.includes(key) ? "" : key.replace(/_range$/, "");
+    const rule = groups[group] = groups[group] || {};
+    (rule[key] = rule[key] || []).push(value);
+  });
+  return JSON.stringify({ version: 2, rules: Object.values(groups) }, null, 2) + "\n";
+}
+
+/**
+ * 各格式不支援而略過的規則
+ */
+function unsupported(rules) {
+  return FORMATS.flatMap(format => rules
+    .filter(r => !RULE_TYPES[r.type][format.key])
+    .map(r => ({ format: format.name, rule: r })));
+}
+
+// ==================== 主程式 ====================
+function main() {
+  const argv = process.argv.slice(2);
+  const checkOnly = argv.includes("--check");
+  const fix = argv.includes("--fix");
+  let errorCount = 0;
+  let warningCount = 0;
+  let outputCount = 0;
+
+  for (const file of listFiles()) {
+    const name = path.basename(file, ".list");
+    const filePath = path.join(rulesDir, file);
+    let text = fs.readFileSync(filePath, "utf8");
+
+    if (fix) {
+      const fixed = fixList(text);
+      if (fixed !== text) {
+        fs.writeFileSync(filePath, fixed, "utf8");
+        console.log(`已修正 ${file}`);
+        text = fixed;
+      }
+    }
+
+    const { rules, errors, warnings } = parseList(text);
+    warnings.push(...findRedundant(rules));
+    const skipped = unsupported(rules);
+    skipped.forEach(s => warnings.push(`第 ${s.rule.line} 行: ${s.format} 不支援 ${s.rule.type}，輸出時略過`));
+
+    errorCount += errors.length;
+    warningCount += warnings.length;
+    console.log(`${errors.length ? "✗" : "✓"} ${file}（${rules.length} 條規則）`);
+    errors.forEach(msg => console.log(`    錯誤 ${msg}`));
+    warnings.forEach(msg => console.log(`    警告 ${msg}`));
+
+    if (checkOnly || errors.length) continue;
+    const unique = uniqueRules(rules);
+    for (const format of FORMATS) {
+      const dir = path.join(rulesDir, format.name);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(
+        path.join(dir, name + format.ext),
+        format.render(
+          name,
+          unique.filter(r => RULE_TYPES[r.type][format.key]),
+          unique.filter(r => !RULE_TYPES[r.type][format.key])
+        ),
+        "utf8"
+      );
+      outputCount++;
+    }
+  }
+
+  console.log(`${errorCount} 個錯誤，${warningCount} 個警告` + (checkOnly ? "" : `，產生 ${outputCount} 個檔案`));
+  if (errorCount) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,268 @@
+/**
+ * Configs/Profile.conf 參照檢查
+ *
+ * 解析設定檔並確認其中的參照都能解析，避免錯字要等到 Surge 在裝置上載入失敗才發現：
+ *   - #!MANAGED-CONFIG 網址指向本儲存庫中的這個設定檔
+ *   - icon-url 指向本儲存庫時，Icons/ 下須有對應的 PNG；指向其他儲存庫時提示改用本儲存庫的同名圖示
+ *   - [Proxy Group] 成員、subnet 的各項策略、include-other-group 須為代理、策略組或內建策略
+ *   - policy-path 與 RULE-SET 指向本儲存庫時檔案須存在
+ *   - [Rule] 的策略須存在；未被規則或其他策略組使用的策略組
+ * [Proxy] 為空時，代理視為由裝置上的其他設定提供，未定義的成員只列為警告。
+ *
+ * 本儲存庫取自 --repo、GITHUB_REPOSITORY（GitHub Actions），預設 nagisaya/qvlmols；分支取自 --branch，預設 main。
+ * 檔案是否存在以實際大小寫比對（icons/ 與 Icons/ 視為不同），與 raw.githubusercontent.com 相同。
+ *
+ * 用法：
+ *   node Scripts/tools/check-profile.js [Configs/Profile.conf] [--repo owner/name] [--branch main]   # 有錯誤時 exit code 1
+ */
+const fs = require("fs");
+const path = require("path");
+
+const repoDir = path.join(__dirname, "../..");
+const defaultProfile = path.join(repoDir, "Configs/Profile.conf");
+
+// 本儲存庫的 raw 網址，由 main() 依參數設定
+let repoURL = null;
+let managedURL = "";
+
+// Surge 內建策略與規則集
+const BUILTIN_POLICIES = ["DIRECT", "REJECT", "REJECT-DROP", "REJECT-NO-DROP", "REJECT-TINYGIF", "CELLULAR", "CELLULAR-ONLY", "HYBRID", "NO-HYBRID"];
+const BUILTIN_RULE_SETS = ["LAN", "SYSTEM"];
+
+// 策略組中值為策略名稱的選項
+const POLICY_OPTIONS = ["include-other-group"];
+
+function parseArgs(argv) {
+  const args = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) {
+      args.files.push(argv[i]);
+      continue;
+    }
+    const key = argv[i].slice(2);
+    args[key] = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i] : true;
+  }
+  return args;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * 設定本儲存庫的 raw 網址（refs/heads/<branch> 與 <branch> 兩種寫法皆可，儲存庫名稱不分大小寫）
+ */
+function setRepo(repo, branch) {
+  repoURL = new RegExp(`^https://raw\\.githubusercontent\\.com/${escapeRegExp(repo)}/(?:refs/heads/)?${escapeRegExp(branch)}/(.+)$`, "i");
+  managedURL = `https://raw.githubusercontent.com/${repo}/refs/heads/${branch}/`;
+}
+
+/**
+ * 逐層比對目錄內容，確認檔案存在且大小寫相符（不受 macOS 等不分大小寫的檔案系統影響）
+ */
+function existsExact(file) {
+  let dir = repoDir;
+  for (const part of file.split("/")) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory() || !fs.readdirSync(dir).includes(part)) return false;
+    dir = path.join(dir, part);
+  }
+  return true;
+}
+
+/**
+ * 以逗號分隔，略過引號與括號內的逗號（subnet 的 "SSID:..."、AND／OR／NOT 的子規則）
+ */
+function splitFields(text) {
+  const fields = [];
+  let current = "";
+  let quoted = false;
+  let depth = 0;
+  for (const ch of text) {
+    if (ch === "\"") quoted = !quoted;
+    if (!quoted && ch === "(") depth++;
+    if (!quoted && ch === ")") depth--;
+    if (ch === "," && !quoted && !depth) {
+      fields.push(current.trim());
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  fields.push(current.trim());
+  return fields.filter(Boolean);
+}
+
+/**
+ * 依區段拆分設定檔，每行保留行號；略過空行與註解
+ * @returns {{managed: {url: string, line: number}|null, sections: Object<string, {line: number, text: string}[]>}}
+ */
+function parseProfile(text) {
+  const sections = {};
+  let managed = null;
+  let current = null;
+
+  text.split("\n").forEach((raw, i) => {
+    const line = raw.trim();
+    const managedMatch = line.match(/^#!MANAGED-CONFIG\s+(\S+)/);
+    if (managedMatch) managed = { url: managedMatch[1], line: i + 1 };
+    if (!line || line.startsWith("#") || line.startsWith("//") || line.startsWith(";")) return;
+
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      current = header[1];
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push({ line: i + 1, text: line.replace(/\s+#!\S+$/, "") });
+    }
+  });
+  return { managed, sections };
+}
+
+/**
+ * 解析 [Proxy Group]：name、type、members（策略名稱）、options（key=value）
+ */
+function parseGroups(lines) {
+  return lines.map(({ line, text }) => {
+    const eq = text.indexOf("=");
+    const name = text.slice(0, eq).trim();
+    const [type, ...fields] = splitFields(text.slice(eq + 1));
+    const members = [];
+    const options = {};
+
+    fields.forEach(field => {
+      const pos = field.indexOf("=");
+      if (pos < 0) return members.push(field);
+      const key = field.slice(0, pos).trim();
+      const value = field.slice(pos + 1).trim();
+      // subnet 的 default= 與 "SSID:..."= 的值都是策略
+      if (type === "subnet" && (key === "default" || key.startsWith("\""))) members.push(value);
+      else options[key] = value;
+    });
+    return { line, name, type, members, options };
+  });
+}
+
+/**
+ * 解析 [Rule]：type、policy、ruleSet（RULE-SET／DOMAIN-SET 的來源）
+ * 規則為「類型,內容,策略,選項…」，FINAL 為「FINAL,策略,選項…」
+ */
+function parseRules(lines) {
+  return lines.map(({ line, text }) => {
+    const fields = splitFields(text);
+    const type = fields[0].toUpperCase();
+    if (type === "FINAL") return { line, type, policy: fields[1] };
+    return {
+      line,
+      type,
+      policy: fields[2] || null,
+      ruleSet: type === "RULE-SET" || type === "DOMAIN-SET" ? fields[1] : null
+    };
+  });
+}
+
+/**
+ * 本儲存庫網址對應的檔案是否存在；非本儲存庫網址回傳 null
+ */
+function repoFile(url) {
+  const match = url.match(repoURL);
+  if (!match) return null;
+  const file = decodeURIComponent(match[1]);
+  return { file, exists: existsExact(file) };
+}
+
+function checkProfile(profilePath) {
+  const errors = [];
+  const warnings = [];
+  const at = (line) => `第 ${line} 行`;
+  const { managed, sections } = parseProfile(fs.readFileSync(profilePath, "utf8"));
+
+  // 1. MANAGED-CONFIG
+  const relative = path.relative(repoDir, profilePath).split(path.sep).join("/");
+  if (!managed) {
+    warnings.push("缺少 #!MANAGED-CONFIG");
+  } else if (repoFile(managed.url)?.file !== relative) {
+    errors.push(`${at(managed.line)}: #!MANAGED-CONFIG 應為 ${managedURL}${relative}，目前為 ${managed.url}`);
+  }
+
+  const proxies = (sections["Proxy"] || []).map(({ text }) => text.split("=")[0].trim());
+  const groups = parseGroups(sections["Proxy Group"] || []);
+  const rules = parseRules(sections["Rule"] || []);
+  const groupNames = new Set(groups.map(g => g.name));
+  const known = (name) => BUILTIN_POLICIES.includes(name.toUpperCase()) || groupNames.has(name) || proxies.includes(name);
+  // [Proxy] 為空時代理來自裝置上的其他設定，無法確認
+  const unknown = proxies.length ? errors : warnings;
+  const used = new Set();
+  // 未定義的成員：名稱 → 使用它的策略組，同一名稱只列一次
+  const missing = new Map();
+
+  // 2. 策略組
+  for (const group of groups) {
+    group.members.forEach(member => {
+      used.add(member);
+      if (!known(member)) missing.set(member, [...(missing.get(member) || []), group]);
+    });
+    POLICY_OPTIONS.filter(key => group.options[key]).forEach(key => {
+      group.options[key].split(",").map(s => s.trim()).forEach(name => {
+        used.add(name);
+        if (!groupNames.has(name)) errors.push(`${at(group.line)}: ${group.name} 的 ${key}=${name} 不是策略組`);
+      });
+    });
+
+    const icon = group.options["icon-url"];
+    if (icon) {
+      const local = repoFile(icon);
+      if (local && !local.exists) {
+        errors.push(`${at(group.line)}: ${group.name} 的 icon-url 找不到 ${local.file}`);
+      } else if (!local) {
+        const same = "Icons/" + path.basename(new URL(icon).pathname);
+        warnings.push(`${at(group.line)}: ${group.name} 的 icon-url 不在本儲存庫` +
+          (existsExact(same) ? `，可改用 ${managedURL}${same}` : ""));
+      }
+    }
+
+    const policyPath = group.options["policy-path"];
+    if (policyPath && /^https?:\/\//.test(policyPath)) {
+      const local = repoFile(policyPath);
+      if (local && !local.exists) errors.push(`${at(group.line)}: ${group.name} 的 policy-path 找不到 ${local.file}`);
+    }
+  }
+
+  missing.forEach((list, member) => {
+    unknown.push(`${at(list[0].line)}: ${member} 不是代理、策略組或內建策略（${list.map(g => g.name).join("、")} 的成員）`);
+  });
+
+  // 3. 規則
+  for (const rule of rules) {
+    if (rule.policy) {
+      used.add(rule.policy);
+      if (!known(rule.policy)) unknown.push(`${at(rule.line)}: ${rule.type} 的策略 ${rule.policy} 不是代理、策略組或內建策略`);
+    }
+    if (rule.ruleSet && !BUILTIN_RULE_SETS.includes(rule.ruleSet.toUpperCase())) {
+      const local = repoFile(rule.ruleSet);
+      if (local && !local.exists) errors.push(`${at(rule.line)}: ${rule.type} 找不到 ${local.file}`);
+    }
+  }
+  if (!rules.some(r => r.type === "FINAL")) warnings.push("[Rule] 缺少 FINAL 規則");
+
+  // 4. 未使用的策略組
+  groups.filter(g => !used.has(g.name)).forEach(g => {
+    warnings.push(`${at(g.line)}: 策略組 ${g.name} 未被任何規則或策略組使用`);
+  });
+
+  return { errors, warnings, groups: groups.length, rules: rules.length };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  setRepo(args.repo || process.env.GITHUB_REPOSITORY || "nagisaya/qvlmols", args.branch || "main");
+  const profilePath = path.resolve(args.files[0] || defaultProfile);
+  const { errors, warnings, groups, rules } = checkProfile(profilePath);
+
+  console.log(`${errors.length ? "✗" : "✓"} ${path.relative(repoDir, profilePath)}（${groups} 個策略組，${rules} 條規則）`);
+  errors.forEach(msg => console.log(`    錯誤 ${msg}`));
+  warnings.forEach(msg => console.log(`    警告 ${msg}`));
+  console.log(`${errors.length} 個錯誤，${warnings.length} 個警告`);
+  if (errors.length) process.exitCode = 1;
+}
+
+main();
@@ -1,37 +1,218 @@
+/**
+ * Icons/ 圖示集產生器
+ *
+ * 讀取每個 PNG 的檔頭（IHDR），尺寸不符、非正方形或沒有透明通道的檔案會列為錯誤並排除，exit code 為 1。
+ * 編號變體（surge、surge_2…surge_5）歸為同一組，依 CATEGORIES 分類後輸出：
+ *   Icons/icons.json    圖示集（沿用原路徑，既有訂閱不需更改），CLIENTS 中的客戶端共用同一份
+ *   Icons/index.html    預覽頁（依分類列出所有圖示與訂閱網址）
+ *
+ * 圖示網址為 <base-url><檔名>，base-url 依序取自：
+ *   --base-url、環境變數 ICON_BASE_URL、https://raw.githubusercontent.com/<repo>/<branch>/Icons/
+ *   repo／branch 取自 --repo／--branch、GITHUB_REPOSITORY／GITHUB_REF_NAME（GitHub Actions），預設 nagisaya/qvlmols、main
+ *
+ * 用法：
+ *   node Scripts/tools/generate-icons.js [--base-url URL] [--repo owner/name] [--branch main]
+ *   node Scripts/tools/generate-icons.js --check   # 只檢查圖片，不輸出
+ */
 const fs = require("fs");
 const path = require("path");
 
 const iconsDir = path.join(__dirname, "../../Icons");
 const output = path.join(iconsDir, "icons.json");
+const galleryOutput = path.join(iconsDir, "index.html");
 
-const baseURL =
-  "https://raw.githubusercontent.com/nagisaya/Surge/main/Icons/";
+const ICONSET_NAME = "QVL ICONSET";
 
-const files = fs
-  .readdirSync(iconsDir)
-  .filter(file => file.toLowerCase().endsWith(".png"))
-  .sort();
+// 允許的邊長（正方形），Surge 建議 108 或 144
+const ICON_SIZES = [108, 144];
 
-const icons = [];
+// 分類依序比對群組名稱，未符合者歸入最後的 apps
+const CATEGORIES = [
+  { key: "flags", title: "地區旗幟", match: /^flg_/ },
+  { key: "clients", title: "代理工具", match: /^(surge|qx)$/ },
+  { key: "finance", title: "金融", match: /^(bank|bank_.+|paypal|wise|ibkr|crypto)$/i },
+  { key: "system", title: "策略與網路", match: /^(auto|manual|gateway|servers|vps|ssid|speedtest|folder|adblock)$/i },
+  { key: "apps", title: "應用程式", match: /./ }
+];
 
-for (const file of files) {
-  const name = path.basename(file, ".png");
+// 可匯入 { name, icons: [{ name, url }] } 圖示集的客戶端，預覽頁列出同一個訂閱網址
+const CLIENTS = ["Surge", "Quantumult X", "Loon", "Stash"];
 
-  icons.push({
-    name: name,
-    url: `${baseURL}${encodeURIComponent(file)}`
-  });
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) continue;
+    const key = argv[i].slice(2);
+    args[key] = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i] : true;
+  }
+  return args;
 }
 
-const json = {
-  name: "QVL ICONSET",
-  icons: icons
-};
+function resolveBaseURL(args) {
+  const url = args["base-url"] || process.env.ICON_BASE_URL;
+  if (url) return url.endsWith("/") ? url : url + "/";
+  const repo = args.repo || process.env.GITHUB_REPOSITORY || "nagisaya/qvlmols";
+  const branch = args.branch || process.env.GITHUB_REF_NAME || "main";
+  return `https://raw.githubusercontent.com/${repo}/${branch}/Icons/`;
+}
+
+// ==================== PNG 檢查 ====================
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * 讀取 PNG 檔頭：IHDR 的寬高與色彩類型，並尋找 tRNS（調色盤或灰階／RGB 的透明色）
+ * @returns {{width: number, height: number, colorType: number, alpha: boolean}|null} 非 PNG 時回傳 null
+ */
+function readPNGHeader(buffer) {
+  if (buffer.length < 33 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+  if (buffer.toString("ascii", 12, 16) !== "IHDR") return null;
+
+  const header = {
+    width: buffer.readUInt32BE(16),
+    height: buffer.readUInt32BE(20),
+    colorType: buffer[25]
+  };
+
+  let hasTRNS = false;
+  for (let pos = 8; pos + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString("ascii", pos + 4, pos + 8);
+    if (type === "tRNS") hasTRNS = true;
+    if (type === "IDAT" || type === "IEND") break;
+    pos += 12 + length;
+  }
+  // 色彩類型 4＝灰階＋alpha，6＝RGBA
+  header.alpha = header.colorType === 4 || header.colorType === 6 || hasTRNS;
+  return header;
+}
+
+function validateIcon(file) {
+  const header = readPNGHeader(fs.readFileSync(path.join(iconsDir, file)));
+  if (!header) return "不是有效的 PNG";
+  const { width, height } = header;
+  if (width !== height) return `不是正方形（${width}x${height}）`;
+  if (!ICON_SIZES.includes(width)) return `尺寸 ${width}x${height} 不在允許範圍（${ICON_SIZES.join("、")}）`;
+  if (!header.alpha) return "沒有透明通道";
+  return null;
+}
+
+// ==================== 分組與分類 ====================
+/**
+ * 依群組名稱（去除 _2、_3 等編號）分組，每組內原圖在前、編號依序排列
+ * @returns {{key: string, title: string, groups: {name: string, icons: Object[]}[]}[]}
+ */
+function categorize(icons) {
+  const groups = new Map();
+  for (const icon of icons) {
+    const match = icon.name.match(/^(.+?)_(\d+)$/);
+    const base = match ? match[1] : icon.name;
+    const list = groups.get(base) || [];
+    list.push({ ...icon, variant: match ? Number(match[2]) : 1 });
+    groups.set(base, list);
+  }
+
+  return CATEGORIES.map(category => ({
+    key: category.key,
+    title: category.title,
+    groups: [...groups.keys()]
+      .filter(name => CATEGORIES.find(c => c.match.test(name)) === category)
+      .sort((a, b) => a.localeCompare(b, "en", { sensitivity: "base" }))
+      .map(name => ({ name, icons: groups.get(name).sort((a, b) => a.variant - b.variant) }))
+  })).filter(category => category.groups.length);
+}
+
+// ==================== 輸出 ====================
+function writeJSON(file, json) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(json, null, 2) + "\n", "utf8");
+}
 
-fs.writeFileSync(
-  output,
-  JSON.stringify(json, null, 2) + "\n",
-  "utf8"
-);
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"]/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" })[ch]);
+}
+
+function renderGallery(categories, baseURL, count) {
+  const figure = (icon) => `
+        <figure title="${escapeHTML(icon.url)}">
+          <img src="${escapeHTML(encodeURIComponent(icon.file))}" alt="${escapeHTML(icon.name)}" loading="lazy">
+          <figcaption>${escapeHTML(icon.name)}</figcaption>
+        </figure>`;
+
+  return `<!DOCTYPE html>
+<html lang="zh-Hant">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(ICONSET_NAME)}</title>
+<style>
+  body { font: 14px -apple-system, BlinkMacSystemFont, "PingFang TC", sans-serif; margin: 24px; color: #222; }
+  h1 { font-size: 22px; }
+  h2 { font-size: 17px; margin-top: 32px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+  code { background: #f3f3f3; padding: 2px 4px; border-radius: 4px; word-break: break-all; }
+  .grid { display: flex; flex-wrap: wrap; gap: 12px; }
+  .group { display: flex; gap: 4px; padding: 6px; border: 1px solid #eee; border-radius: 10px; }
+  figure { margin: 0; width: 80px; text-align: center; }
+  img { width: 64px; height: 64px; border-radius: 12px;
+    background: repeating-conic-gradient(#e6e6e6 0 25%, #fff 0 50%) 50% / 12px 12px; }
+  figcaption { font-size: 11px; word-break: break-all; }
+  @media (prefers-color-scheme: dark) {
+    body { background: #1c1c1e; color: #eee; }
+    code { background: #2c2c2e; }
+    .group { border-color: #3a3a3c; }
+  }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(ICONSET_NAME)}（${count} 個圖示）</h1>
+<p>訂閱網址（${escapeHTML(CLIENTS.join("、"))} 共用）：<code>${escapeHTML(baseURL + "icons.json")}</code></p>
+${categories.map(category => `
+<h2>${escapeHTML(category.title)}</h2>
+<div class="grid">${category.groups.map(group => `
+      <div class="group">${group.icons.map(figure).join("")}
+      </div>`).join("")}
+</div>`).join("\n")}
+</body>
+</html>
+`;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const baseURL = resolveBaseURL(args);
+
+  const files = fs
+    .readdirSync(iconsDir)
+    .filter(file => file.toLowerCase().endsWith(".png"))
+    .sort();
+
+  const icons = [];
+  const errors = [];
+
+  for (const file of files) {
+    const error = validateIcon(file);
+    if (error) {
+      errors.push(`${file}: ${error}`);
+      continue;
+    }
+    icons.push({
+      name: path.basename(file, path.extname(file)),
+      file,
+      url: `${baseURL}${encodeURIComponent(file)}`
+    });
+  }
+
+  errors.forEach(msg => console.log(`錯誤 ${msg}`));
+  if (errors.length) process.exitCode = 1;
+  if (args.check) return console.log(`Checked ${files.length} icons, ${errors.length} rejected`);
+
+  const categories = categorize(icons);
+  const ordered = categories.flatMap(c => c.groups.flatMap(g => g.icons)).map(icon => ({ name: icon.name, url: icon.url }));
+
+  writeJSON(output, { name: ICONSET_NAME, icons: ordered });
+  fs.writeFileSync(galleryOutput, renderGallery(categories, baseURL, icons.length), "utf8");
+
+  console.log(`Generated ${icons.length} icons in ${categories.length} categories` +
+    (errors.length ? `, ${errors.length} rejected` : ""));
+}
 
-console.log(`Generated ${files.length} icons`);
+main();
@@ -0,0 +1,195 @@
+/**
+ * ip-security.sgmodule 產生器
+ *
+ * 從 Scripts/ip-security.js 的 PARAMS（參數清單）產生 Surge 模組，#!arguments、#!arguments-desc 與各腳本的 argument
+ * 都只列出該模組實際使用的參數，新增或修改參數後重新執行即可，不需手動同步：
+ *   Modules/ip-security-traditional.sgmodule              完整（面板、網路變更、審計、自動選擇、健康日報、報告），繁體
+ *   Modules/ip-security-simplified.sgmodule               完整，簡體
+ *   Modules/ip-security-panel-only-{traditional,simplified}.sgmodule   面板、節點審計與報告
+ *   Modules/ip-security-event-only-{traditional,simplified}.sgmodule   網路變更通知
+ *   Modules/ip-security-panel-traditional.sgmodule        舊訂閱網址，內容同完整繁體版
+ *
+ * 用法：
+ *   node Scripts/tools/generate-modules.js
+ *   node Scripts/tools/generate-modules.js --check   # 只比對，模組與參數清單不一致時 exit code 1
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const scriptPath = path.join(__dirname, "../ip-security.js");
+const modulesDir = path.join(__dirname, "../../Modules");
+
+const SCRIPT_URL = "https://raw.githubusercontent.com/nagisaya/qvlmols/refs/heads/main/Scripts/ip-security.js";
+
+const LANGS = {
+  traditional: "zh-Hant",
+  simplified: "zh-Hans"
+};
+
+// 各腳本：trigger 對應 PARAMS 的 triggers，fixed 為固定參數，panel 為 [Panel] 設定
+const SCRIPTS = [
+  {
+    name: "ip-security-panel",
+    trigger: "panel",
+    type: "type=generic,timeout=10",
+    panel: "update-interval=600",
+    comment: { "zh-Hant": "面板手動觸發", "zh-Hans": "面板手动触发" }
+  },
+  {
+    name: "ip-security-event",
+    trigger: "event",
+    type: "type=event,event-name=network-changed,timeout=10",
+    fixed: "TYPE=EVENT",
+    comment: { "zh-Hant": "網路變更自動觸發", "zh-Hans": "网络变更自动触发" }
+  },
+  {
+    name: "ip-security-audit",
+    trigger: "audit",
+    type: "type=generic,timeout=60",
+    fixed: "mode=audit",
+    panel: "",
+    comment: { "zh-Hant": "策略組節點審計（面板手動觸發）", "zh-Hans": "策略组节点审计（面板手动触发）" }
+  },
+  {
+    name: "ip-security-autoselect",
+    trigger: "autoselect",
+    type: "type=cron,cronexp=\"0,30 * * * *\",timeout=120",
+    fixed: "mode=autoselect",
+    comment: {
+      "zh-Hant": "自動選擇 select 策略組節點（每 30 分鐘，未設定 select_group 時不動作）",
+      "zh-Hans": "自动选择 select 策略组节点（每 30 分钟，未设置 select_group 时不动作）"
+    }
+  },
+  {
+    name: "ip-security-digest",
+    trigger: "digest",
+    type: "type=cron,cronexp=\"0 * * * *\",timeout=30",
+    fixed: "mode=digest",
+    comment: {
+      "zh-Hant": "健康日報（每小時記錄，未設定 digest_hour 時不動作）",
+      "zh-Hans": "健康日报（每小时记录，未设置 digest_hour 时不动作）"
+    }
+  },
+  {
+    name: "ip-security-report",
+    trigger: "report",
+    type: "type=http-request,pattern=^http://ip-security\\.report/,timeout=15",
+    comment: {
+      "zh-Hant": "完整報告（瀏覽 http://ip-security.report/，加上 ?format=json 取得 JSON）",
+      "zh-Hans": "完整报告（浏览 http://ip-security.report/，加上 ?format=json 获取 JSON）"
+    }
+  }
+];
+
+const VARIANTS = [
+  {
+    suffix: "",
+    scripts: ["panel", "event", "audit", "autoselect", "digest", "report"],
+    name: { "zh-Hant": "IP Security Monitor", "zh-Hans": "IP Security Monitor" },
+    desc: {
+      "zh-Hant": "顯示 IP 風險評分、類型、代理策略與入口／出口 IP 地理資訊，支援網路變更自動通知與策略組節點審計，完整報告請瀏覽 http://ip-security.report/",
+      "zh-Hans": "显示 IP 风险评分、类型、代理策略与入口／出口 IP 地理信息，支持网络变更自动通知与策略组节点审计，完整报告请浏览 http://ip-security.report/"
+    }
+  },
+  {
+    suffix: "-panel-only",
+    scripts: ["panel", "audit", "report"],
+    name: { "zh-Hant": "IP Security Panel", "zh-Hans": "IP Security Panel" },
+    desc: {
+      "zh-Hant": "面板顯示 IP 風險評分、類型、代理策略與入口／出口 IP 地理資訊，並提供策略組節點審計，完整報告請瀏覽 http://ip-security.report/",
+      "zh-Hans": "面板显示 IP 风险评分、类型、代理策略与入口／出口 IP 地理信息，并提供策略组节点审计，完整报告请浏览 http://ip-security.report/"
+    }
+  },
+  {
+    suffix: "-event-only",
+    scripts: ["event"],
+    name: { "zh-Hant": "IP Security Notifier", "zh-Hans": "IP Security Notifier" },
+    desc: {
+      "zh-Hant": "網路變更時檢測入口／出口 IP、風險評分與代理策略並送出通知",
+      "zh-Hans": "网络变更时检测入口／出口 IP、风险评分与代理策略并发送通知"
+    }
+  }
+];
+
+// 舊檔名 → 內容來源（既有訂閱網址不變）
+const ALIASES = {
+  "ip-security-panel-traditional.sgmodule": "ip-security-traditional.sgmodule"
+};
+
+/**
+ * 從腳本原始碼取出 PARAMS 字面值並求值（不執行腳本本身）
+ */
+function loadParams() {
+  const source = fs.readFileSync(scriptPath, "utf8");
+  const match = source.match(/\nconst ALL_TRIGGERS = (\[[^\]]*\]);[\s\S]*?\nconst PARAMS = (\[[\s\S]*?\n\]);\n/);
+  if (!match) throw new Error("在 ip-security.js 中找不到 ALL_TRIGGERS／PARAMS");
+  return vm.runInNewContext(`const ALL_TRIGGERS = ${match[1]}; (${match[2]})`);
+}
+
+function moduleDefault(param, lang) {
+  return typeof param.module === "object" ? param.module[lang] : param.module;
+}
+
+function renderModule(variant, lang, params) {
+  const scripts = SCRIPTS.filter(s => variant.scripts.includes(s.trigger));
+  const used = params.filter(p => p.module !== undefined && scripts.some(s => p.triggers.includes(s.trigger)));
+
+  const lines = [
+    `#!name=${variant.name[lang]}`,
+    `#!desc=${variant.desc[lang]}`,
+    "#!author=HotKids&ChatGPT&Claude",
+    "#!system=ios",
+    `#!arguments=${used.map(p => `${p.name}:${moduleDefault(p, lang)}`).join(",")}`,
+    `#!arguments-desc=${used.map(p => `${p.name}:${p.desc[lang]}`).join("\\n")}`
+  ];
+
+  const panels = scripts.filter(s => s.panel !== undefined);
+  if (panels.length) {
+    lines.push("", "[Panel]");
+    panels.forEach(s => lines.push(`${s.name} = script-name=${s.name}` + (s.panel ? `,${s.panel}` : "")));
+  }
+
+  lines.push("", "[Script]");
+  scripts.forEach((s, i) => {
+    const argument = [
+      ...(s.fixed ? [s.fixed] : []),
+      ...used.filter(p => p.triggers.includes(s.trigger)).map(p => `${p.name}={{{${p.name}}}}`)
+    ].join("&");
+    if (i) lines.push("");
+    lines.push(`# ${s.comment[lang]}`, `${s.name} = ${s.type},script-path=${SCRIPT_URL},argument=${argument}`);
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+function main() {
+  const check = process.argv.includes("--check");
+  const params = loadParams();
+  const outputs = {};
+
+  for (const variant of VARIANTS) {
+    for (const [suffix, lang] of Object.entries(LANGS)) {
+      outputs[`ip-security${variant.suffix}-${suffix}.sgmodule`] = renderModule(variant, lang, params);
+    }
+  }
+  Object.entries(ALIASES).forEach(([file, source]) => { outputs[file] = outputs[source]; });
+
+  const stale = [];
+  for (const [file, content] of Object.entries(outputs)) {
+    const target = path.join(modulesDir, file);
+    const current = fs.existsSync(target) ? fs.readFileSync(target, "utf8") : null;
+    if (current === content) continue;
+    stale.push(file);
+    if (!check) fs.writeFileSync(target, content, "utf8");
+  }
+
+  if (check) {
+    stale.forEach(file => console.log(`✗ ${file} 與參數清單不一致，請執行 node Scripts/tools/generate-modules.js`));
+    if (stale.length) process.exitCode = 1;
+    return console.log(`Checked ${Object.keys(outputs).length} modules, ${stale.length} stale`);
+  }
+  console.log(`Generated ${Object.keys(outputs).length} modules, ${stale.length} updated`);
+}
+
+main();
@@ -0,0 +1,413 @@
+/**
+ * ip-security.js 本機模擬執行器
+ *
+ * 以模擬的 Surge 執行環境（$httpClient、$persistentStore、$httpAPI、$notification、$done、$argument、$request）
+ * 載入腳本，HTTP 回應來自 fixtures/ip-security 下錄製的 JSON／HTML，計時器使用虛擬時鐘，不需等待實際時間。
+ *
+ * 用法：
+ *   node Scripts/tools/run-ip-security.js <scenario> [--argument "lang=zh&mask_ip=1"] [--verbose]
+ *   node Scripts/tools/run-ip-security.js --list
+ *   node Scripts/tools/run-ip-security.js --check   # 執行所有情境並比對 expect，失敗時 exit code 1
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const scriptPath = path.join(__dirname, "../ip-security.js");
+const fixturesDir = path.join(__dirname, "fixtures/ip-security");
+const responsesDir = path.join(fixturesDir, "responses");
+const scenariosDir = path.join(fixturesDir, "scenarios");
+
+// 情境未指定時間時的虛擬起始時間
+const DEFAULT_NOW = Date.UTC(2026, 0, 1, 4, 0, 0);
+// 虛擬時鐘最多推進的時間，避免腳本卡住時無限執行
+const MAX_VIRTUAL_MS = 10 * 60 * 1000;
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function listScenarios() {
+  return fs
+    .readdirSync(scenariosDir)
+    .filter(file => file.endsWith(".json") && !file.startsWith("_"))
+    .map(file => path.basename(file, ".json"))
+    .sort();
+}
+
+function loadScenario(name) {
+  const scenario = readJSON(path.join(scenariosDir, `${name}.json`));
+  const defaults = scenario.defaults === false ? [] : readJSON(path.join(scenariosDir, "_routes.json"));
+  return { name, ...scenario, routes: [...(scenario.routes || []), ...defaults] };
+}
+
+/**
+ * 取得路由的回應內容：file 讀取錄製檔，json 直接序列化，body 原樣回傳
+ */
+function routeBody(route) {
+  if (route.file) return fs.readFileSync(path.join(responsesDir, route.file), "utf8");
+  if (route.json !== undefined) return JSON.stringify(route.json);
+  return route.body || "";
+}
+
+function matchRoute(routes, opts) {
+  return routes.find(route => opts.url.includes(route.match)
+    && (route.policy === undefined || route.policy === (opts.policy || null)));
+}
+
+/**
+ * 以情境建立模擬環境並執行腳本
+ * @returns {Promise<{done: Object|null, notifications: Object[], requests: Object[], api: Object[], store: Object, logs: string[], virtualMs: number}>}
+ */
+function runScenario(scenario, { argument, verbose } = {}) {
+  const start = scenario.now ? Date.parse(scenario.now) : DEFAULT_NOW;
+  const clock = { now: start };
+  const timers = [];
+  let timerSeq = 0;
+  let pending = 0;
+
+  const result = {
+    done: null,
+    notifications: [],
+    requests: [],
+    api: [],
+    store: { ...(scenario.store || {}) },
+    logs: [],
+    virtualMs: 0
+  };
+
+  // 虛擬計時器：腳本閒置（無待回應請求）時才推進時鐘
+  const fakeSetTimeout = (fn, ms = 0, ...rest) => {
+    const id = ++timerSeq;
+    timers.push({ id, at: clock.now + Math.max(0, ms), fn: () => fn(...rest) });
+    return id;
+  };
+  const fakeClearTimeout = (id) => {
+    const i = timers.findIndex(t => t.id === id);
+    if (i !== -1) timers.splice(i, 1);
+  };
+
+  class FakeDate extends Date {
+    constructor(...a) {
+      if (a.length) super(...a);
+      else super(clock.now);
+    }
+    static now() {
+      return clock.now;
+    }
+  }
+
+  // 延遲回應，模擬非同步網路請求
+  function respondLater(fn) {
+    pending++;
+    setImmediate(() => {
+      pending--;
+      fn();
+    });
+  }
+
+  function request(method, opts, cb) {
+    const entry = { method, url: opts.url, policy: opts.policy || null };
+    result.requests.push(entry);
+    const route = matchRoute(scenario.routes, opts);
+    if (!route) {
+      entry.status = "unmatched";
+      return respondLater(() => cb("No fixture for " + opts.url, null, null));
+    }
+    if (route.hang) {
+      entry.status = "hang";
+      return;
+    }
+    if (route.fail) {
+      entry.status = "fail";
+      return respondLater(() => cb(route.fail === true ? "Request failed" : route.fail, null, null));
+    }
+    entry.status = route.status || 200;
+    const respond = () => cb(null, { status: route.status || 200, headers: route.headers || {} }, routeBody(route));
+    // delay：以虛擬時鐘延遲回應（毫秒），模擬緩慢但仍會回應的服務
+    if (route.delay) return fakeSetTimeout(respond, route.delay);
+    respondLater(respond);
+  }
+
+  /**
+   * Surge HTTP API：/v1/requests/recent 依實際送出的請求產生紀錄，其餘回傳情境設定
+   * recent 為物件時套用到所有請求；為陣列時依 match（網址子字串）套用第一個符合的欄位，皆不符合的請求不列入
+   * recentExtra 為插在最前面（最新）的額外紀錄，模擬其他 App 或並行執行的請求
+   */
+  function recentFields(url) {
+    if (!Array.isArray(scenario.recent)) return scenario.recent;
+    const hit = scenario.recent.find(r => url.includes(r.match));
+    if (!hit) return null;
+    const { match, ...fields } = hit;
+    return fields;
+  }
+
+  function httpAPI(method, apiPath, body, cb) {
+    result.api.push({ method, path: apiPath, body });
+    // apiHang 列出的呼叫永不回應，模擬 Surge HTTP API 卡住
+    if ((scenario.apiHang || []).includes(`${method} ${apiPath}`)) return;
+    let response = (scenario.api || {})[`${method} ${apiPath}`];
+    if (response === undefined && apiPath === "/v1/requests/recent" && scenario.recent) {
+      const own = result.requests
+        .slice()
+        .reverse()
+        .map(req => ({ req, fields: recentFields(req.url) }))
+        .filter(({ fields }) => fields)
+        .map(({ req, fields }) => ({ URL: req.url, method: req.method, ...fields }));
+      response = {
+        requests: [...(scenario.recentExtra || []), ...own].map((req, i) => ({ id: i + 1, ...req }))
+      };
+    }
+    respondLater(() => cb(response === undefined ? null : response));
+  }
+
+  const log = (...a) => {
+    const line = a.map(String).join(" ");
+    result.logs.push(line);
+    if (verbose) console.log("  [log] " + line);
+  };
+
+  return new Promise((resolve, reject) => {
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      result.virtualMs = clock.now - start;
+      resolve(result);
+    };
+
+    const context = {
+      console: { log, error: log, warn: log },
+      setTimeout: fakeSetTimeout,
+      clearTimeout: fakeClearTimeout,
+      Date: FakeDate,
+      $argument: argument !== undefined ? argument : scenario.argument,
+      $httpClient: {
+        get: (opts, cb) => request("GET", opts, cb),
+        post: (opts, cb) => request("POST", opts, cb)
+      },
+      $httpAPI: httpAPI,
+      $persistentStore: {
+        read: key => (key in result.store ? result.store[key] : null),
+        write: (value, key) => {
+          result.store[key] = value;
+          return true;
+        }
+      },
+      $notification: {
+        post: (title, subtitle, body, options) => result.notifications.push({ title, subtitle, body, options })
+      },
+      $done: (o) => {
+        result.done = o || {};
+        finish();
+      }
+    };
+    if (scenario.trigger === "panel") context.$input = { purpose: "panel" };
+    if (scenario.network) context.$network = scenario.network;
+    if (scenario.request) context.$request = { method: "GET", headers: {}, ...scenario.request };
+    // storeUpdates：於虛擬時間 at 毫秒時寫入儲存，模擬並行執行的其他事件
+    for (const update of scenario.storeUpdates || []) {
+      fakeSetTimeout(() => Object.assign(result.store, update.store), update.at);
+    }
+
+    try {
+      vm.runInNewContext(fs.readFileSync(scriptPath, "utf8"), context, { filename: "ip-security.js" });
+    } catch (e) {
+      return reject(e);
+    }
+
+    // 事件迴圈：等待所有待回應請求完成後，推進虛擬時鐘到下一個計時器
+    (function loop() {
+      if (finished) return;
+      if (pending > 0) return setImmediate(loop);
+      setImmediate(() => {
+        if (finished) return;
+        if (pending > 0) return loop();
+        timers.sort((a, b) => a.at - b.at || a.id - b.id);
+        const next = timers.shift();
+        if (!next || next.at - start > MAX_VIRTUAL_MS) {
+          return reject(new Error("Script stalled without calling $done"));
+        }
+        clock.now = Math.max(clock.now, next.at);
+        next.fn();
+        loop();
+      });
+    })();
+  });
+}
+
+// ==================== 結果比對 ====================
+function includesAll(text, parts, label, errors) {
+  for (const part of parts || []) {
+    if (!String(text || "").includes(part)) errors.push(`${label} missing "${part}"`);
+  }
+}
+
+function excludesAll(text, parts, label, errors) {
+  for (const part of parts || []) {
+    if (String(text || "").includes(part)) errors.push(`${label} should not contain "${part}"`);
+  }
+}
+
+/**
+ * 比對執行結果與情境的 expect，回傳錯誤訊息清單
+ */
+function verify(expect, result) {
+  const errors = [];
+  if (!expect) return errors;
+
+  if (expect.done) {
+    const d = result.done || {};
+    if (expect.done.empty && Object.keys(d).length) errors.push("$done should be empty, got " + JSON.stringify(d));
+    if (expect.done.title !== undefined && d.title !== expect.done.title) {
+      errors.push(`title expected "${expect.done.title}", got "${d.title}"`);
+    }
+    includesAll(d.title, expect.done.titleIncludes, "title", errors);
+    includesAll(d.content, expect.done.contentIncludes, "content", errors);
+    excludesAll(d.content, expect.done.contentExcludes, "content", errors);
+    if (expect.done.icon !== undefined && d.icon !== expect.done.icon) {
+      errors.push(`icon expected "${expect.done.icon}", got "${d.icon}"`);
+    }
+    if (expect.done.iconColor !== undefined && d["icon-color"] !== expect.done.iconColor) {
+      errors.push(`icon-color expected "${expect.done.iconColor}", got "${d["icon-color"]}"`);
+    }
+    for (const [key, value] of Object.entries(expect.done.response || {})) {
+      const actual = key === "status" ? d.response?.status : d.response?.[key];
+      if (key === "bodyIncludes") includesAll(d.response?.body, value, "response body", errors);
+      else if (key === "bodyExcludes") excludesAll(d.response?.body, value, "response body", errors);
+      else if (actual !== value) errors.push(`response.${key} expected ${JSON.stringify(value)}, got ${JSON.stringify(actual)}`);
+    }
+  }
+
+  // maxVirtualMs：$done 須在此虛擬時間內呼叫（對應模組設定的 timeout，超過時 Surge 會直接結束腳本）
+  if (expect.maxVirtualMs !== undefined && result.virtualMs > expect.maxVirtualMs) {
+    errors.push(`$done called after ${result.virtualMs} ms, expected within ${expect.maxVirtualMs} ms`);
+  }
+
+  if (expect.notifications) {
+    if (result.notifications.length !== expect.notifications.length) {
+      errors.push(`expected ${expect.notifications.length} notification(s), got ${result.notifications.length}`);
+    }
+    expect.notifications.forEach((n, i) => {
+      const actual = result.notifications[i];
+      if (!actual) return;
+      includesAll(actual.title, n.titleIncludes, `notification[${i}].title`, errors);
+      includesAll(actual.subtitle, n.subtitleIncludes, `notification[${i}].subtitle`, errors);
+      includesAll(actual.body, n.bodyIncludes, `notification[${i}].body`, errors);
+      excludesAll(`${actual.title}\n${actual.subtitle}\n${actual.body}`, n.excludes, `notification[${i}]`, errors);
+    });
+  }
+
+  includesAll(result.logs.join("\n"), expect.logIncludes, "logs", errors);
+  excludesAll(result.logs.join("\n"), expect.logExcludes, "logs", errors);
+
+  for (const [key, value] of Object.entries(expect.store || {})) {
+    if (value === null ? key in result.store : !String(result.store[key] || "").includes(value)) {
+      errors.push(`store["${key}"] expected ${value === null ? "absent" : `to contain "${value}"`}, got ${JSON.stringify(result.store[key])}`);
+    }
+  }
+
+  for (const url of expect.requests || []) {
+    if (!result.requests.some(r => r.url.includes(url))) errors.push(`expected a request to ${url}`);
+  }
+  for (const url of expect.noRequests || []) {
+    if (result.requests.some(r => r.url.includes(url))) errors.push(`unexpected request to ${url}`);
+  }
+
+  // $httpAPI 呼叫以「METHOD path body(JSON)」比對子字串，如 POST /v1/policy_groups/select {"group_name":"Proxy"
+  const apiCalls = result.api.map(a => `${a.method} ${a.path}` + (a.body ? " " + JSON.stringify(a.body) : ""));
+  for (const call of expect.apiCalls || []) {
+    if (!apiCalls.some(c => c.includes(call))) errors.push(`expected an $httpAPI call ${call}`);
+  }
+  for (const call of expect.noApiCalls || []) {
+    if (apiCalls.some(c => c.includes(call))) errors.push(`unexpected $httpAPI call ${call}`);
+  }
+
+  return errors;
+}
+
+function printResult(result) {
+  for (const n of result.notifications) {
+    console.log("Notification:");
+    console.log("  " + [n.title, n.subtitle, n.body].join("\n").split("\n").join("\n  "));
+  }
+  console.log("$done:");
+  const d = result.done || {};
+  if (d.response) {
+    console.log("  " + JSON.stringify({ status: d.response.status, headers: d.response.headers }));
+    console.log("  " + d.response.body.split("\n").join("\n  "));
+  } else if (typeof d.content === "string") {
+    const { content, ...rest } = d;
+    console.log("  " + JSON.stringify(rest));
+    console.log("  " + content.split("\n").join("\n  "));
+  } else {
+    console.log("  " + JSON.stringify(d, null, 2).split("\n").join("\n  "));
+  }
+  const unmatched = result.requests.filter(r => r.status === "unmatched");
+  if (unmatched.length) {
+    console.log("Requests without fixture:");
+    unmatched.forEach(r => console.log("  " + r.method + " " + r.url + (r.policy ? ` (policy=${r.policy})` : "")));
+  }
+  console.log(`Virtual time: ${result.virtualMs} ms`);
+}
+
+async function check() {
+  let failed = 0;
+  for (const name of listScenarios()) {
+    const scenario = loadScenario(name);
+    try {
+      const result = await runScenario(scenario);
+      const errors = verify(scenario.expect, result);
+      if (errors.length) {
+        failed++;
+        console.log(`✗ ${name}`);
+        errors.forEach(e => console.log("    " + e));
+      } else {
+        console.log(`✓ ${name}`);
+      }
+    } catch (e) {
+      failed++;
+      console.log(`✗ ${name}: ${e.message}`);
+    }
+  }
+  console.log(`${listScenarios().length - failed} passed, ${failed} failed`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const flag = (name) => argv.includes(name);
+  const option = (name) => {
+    const i = argv.indexOf(name);
+    return i === -1 ? undefined : argv[i + 1];
+  };
+
+  if (flag("--list")) {
+    for (const name of listScenarios()) {
+      console.log(`${name.padEnd(28)} ${loadScenario(name).description || ""}`);
+    }
+    return;
+  }
+  if (flag("--check")) return check();
+
+  const name = argv.find((a, i) => !a.startsWith("--") && argv[i - 1] !== "--argument");
+  if (!name) {
+    console.log("Usage: node Scripts/tools/run-ip-security.js <scenario> [--argument \"a=1&b=2\"] [--verbose] | --list | --check");
+    process.exitCode = 1;
+    return;
+  }
+
+  const scenario = loadScenario(name);
+  const result = await runScenario(scenario, { argument: option("--argument"), verbose: flag("--verbose") });
+  printResult(result);
+  const errors = verify(scenario.expect, result);
+  if (errors.length) {
+    console.log("Expectation mismatches:");
+    errors.forEach(e => console.log("  " + e));
+  }
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exitCode = 1;
+});